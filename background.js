@@ -1,4 +1,6 @@
 // Background service worker for cookie monitoring
+importScripts('safe-html.js', 'cookie-identity.js', 'storage-layer.js', 'history-store.js', 'respawn-detector.js', 'cookie-stores.js', 'public-suffix.js', 'tab-attribution.js', 'cookie-events.js', 'cookie-decoder.js', 'id-sync.js', 'data-detector.js', 'policy-engine.js', 'rule-engine.js', 'tracker-db.js', 'risk-model.js', 'toolbar-badge.js', 'dashboard-queries.js', 'explanation-providers.js', 'explanation-queue.js', 'network-blocker.js');
+
 console.log('Cookie Privacy Guard background script loaded');
 
 let activeTabDomain = '';
@@ -13,217 +15,554 @@ let cookieStats = {
 let cookieHistory = new Map();
 let cookieExplanations = new Map(); // Cache AI explanations
 
-// Groq API configuration (FREE)
-const key = "";
+// Risk weights and thresholds from Settings, kept in memory because every
+// cookie change is scored
+let riskSettings = { weights: null, thresholds: null };
+
+// When on (the default), history and explanations of private-browsing cookies
+// are kept in memory only and never written to chrome.storage.local
+let incognitoHistoryInMemory = true;
+let memoryOnlyExplanationKeys = new Set();
+
+// The worker is stopped when idle and everything above starts empty again.
+// What can't be rebuilt from storage right away is mirrored to
+// chrome.storage.session, which only lives in memory, so private-browsing
+// history can be kept there too.
+const SESSION_STATE_KEY = 'backgroundState';
+const SESSION_STATE_SAVE_DELAY = 500;
+let sessionStateTimer = null;
+
+// Records built for the dashboard, reused while it pages through them
+const DASHBOARD_SNAPSHOT_TTL = 5000;
+let dashboardSnapshot = null;
 
-// Load cookie history and explanations from storage on startup
-chrome.storage.local.get(['cookieHistory', 'cookieExplanations'], (result) => {
-  if (result.cookieHistory) {
-    cookieHistory = new Map(Object.entries(result.cookieHistory));
+// Every listener and message handler awaits whenBackgroundReady() before using
+// the state above. A failed start isn't kept: the next caller starts over,
+// rather than every later message failing on the same rejected promise.
+let backgroundReady = null;
+let backgroundStarted = false;
+const backgroundStartTasks = [];
+
+function whenBackgroundReady() {
+  if (!backgroundReady) {
+    backgroundReady = initializeBackground().then(() => {
+      if (!backgroundStarted) {
+        backgroundStarted = true;
+        backgroundStartTasks.forEach(task => {
+          Promise.resolve().then(task).catch(error => {
+            console.error('Error in background start task:', error);
+          });
+        });
+      }
+    }, error => {
+      backgroundReady = null;
+      console.error('Background failed to start, retrying on next use:', error);
+      throw error;
+    });
+  }
+  return backgroundReady;
+}
+
+// Runs task once, after the first successful start
+function runWhenBackgroundStarts(task) {
+  backgroundStartTasks.push(task);
+}
+
+// Event listeners wait for the start through this, so a failed start (or an
+// error in the listener) is logged instead of left as an unhandled rejection;
+// the next event starts the background again
+function runWhenReady(listener) {
+  return async (...args) => {
+    try {
+      await whenBackgroundReady();
+      await listener(...args);
+    } catch (error) {
+      console.error('Error in background event listener:', error);
+    }
+  };
+}
+
+whenBackgroundReady().catch(() => {
+  // Logged above; the next listener or message retries
+});
+
+async function initializeBackground() {
+  await restoreSessionState();
+  await runStorageMigrations();
+  
+  try {
+    // Private-browsing entries restored from the session are newer than storage
+    const storedHistory = await loadHistoryRecords();
+    cookieHistory = new Map([...storedHistory, ...cookieHistory]);
     console.log('Loaded cookie history:', cookieHistory.size, 'cookies');
+  } catch (error) {
+    console.error('Error loading cookie history:', error);
   }
+  
+  const result = await readNamespace('history');
   if (result.cookieExplanations) {
     cookieExplanations = new Map(Object.entries(result.cookieExplanations));
     console.log('Loaded cookie explanations:', cookieExplanations.size, 'explanations');
   }
-});
+  
+  await Promise.all([
+    loadRiskSettings(),
+    loadIncognitoSettings(),
+    refreshCookieStores(),
+    loadPublicSuffixList(),
+    loadTrackerDatabase(),
+    tabLedgersReady
+  ]);
+  await migrateLegacyCookieKeys();
+  console.log('Background ready');
+}
 
-// Save cookie history to storage periodically
-function saveCookieHistory() {
-  const historyObj = Object.fromEntries(cookieHistory);
-  chrome.storage.local.set({ cookieHistory: historyObj }, () => {
-    console.log('Cookie history saved:', cookieHistory.size, 'cookies');
+async function restoreSessionState() {
+  try {
+    const stored = await chrome.storage.session.get([SESSION_STATE_KEY]);
+    const state = stored[SESSION_STATE_KEY];
+    if (!state) return;
+    
+    activeTabDomain = state.activeTabDomain || '';
+    cookieStats = state.cookieStats || cookieStats;
+    cookieHistory = new Map(Object.entries(state.privateHistory || {}));
+    console.log('Restored session state:', activeTabDomain || 'no active domain', '-', cookieHistory.size, 'private cookies');
+  } catch (error) {
+    console.error('Error restoring session state:', error);
+  }
+}
+
+// Debounced, since the stats and private history change with every cookie event
+function saveSessionState() {
+  clearTimeout(sessionStateTimer);
+  sessionStateTimer = setTimeout(() => {
+    const privateHistory = Object.fromEntries(
+      [...cookieHistory.entries()].filter(([cookieKey, entry]) => !shouldPersistCookie(entry))
+    );
+    chrome.storage.session.set({
+      [SESSION_STATE_KEY]: {
+        activeTabDomain: activeTabDomain,
+        cookieStats: cookieStats,
+        privateHistory: privateHistory
+      }
+    }).catch(error => {
+      console.error('Error saving session state:', error);
+    });
+  }, SESSION_STATE_SAVE_DELAY);
+}
+
+function setActiveTabDomain(hostname) {
+  activeTabDomain = hostname;
+  saveSessionState();
+}
+
+// History and permissions used to be keyed by `${name}_${domain}`; re-key them
+// by the full cookie identity (cookie-identity.js)
+async function migrateLegacyCookieKeys() {
+  try {
+    let historyMigrated = 0;
+    for (const [key, entry] of [...cookieHistory.entries()]) {
+      const cookieKey = getCookieKey(entry);
+      if (key !== cookieKey) {
+        cookieHistory.delete(key);
+        cookieHistory.set(cookieKey, entry);
+        queueHistoryDelete(key);
+        saveHistoryEntry(cookieKey);
+        historyMigrated++;
+      }
+    }
+    
+    const stored = await getAllPermissions();
+    const legacyKeys = Object.keys(stored).filter(key => isLegacyPermission(key, stored[key]));
+    const migrated = {};
+    for (const key of legacyKeys) {
+      const permission = stored[key];
+      if (!permission.cookieName || !permission.cookieDomain) continue;
+      for (const cookie of await findCookiesForLegacyPermission(permission)) {
+        migrated[getPermissionKey(cookie)] = { ...permission, ...getPermissionIdentityFields(cookie) };
+      }
+    }
+    
+    if (legacyKeys.length > 0) {
+      await removePermissions(legacyKeys);
+      await setPermissions(migrated);
+    }
+    
+    if (historyMigrated > 0 || legacyKeys.length > 0) {
+      console.log(`Migrated cookie keys: ${historyMigrated} history entries, ${legacyKeys.length} permissions`);
+    }
+  } catch (error) {
+    console.error('Error migrating cookie keys:', error);
+  }
+}
+
+// The old key had no path or store, so a legacy permission is copied to every
+// cookie with that name and domain the browser or the history knows about
+async function findCookiesForLegacyPermission(permission) {
+  const matches = new Map();
+  const liveCookies = await chrome.cookies.getAll({ name: permission.cookieName });
+  const historyEntries = [...cookieHistory.values()];
+  
+  for (const cookie of [...liveCookies, ...historyEntries]) {
+    if (cookie.name === permission.cookieName && cookie.domain === permission.cookieDomain) {
+      matches.set(getCookieKey(cookie), cookie);
+    }
+  }
+  
+  if (matches.size === 0) {
+    const cookie = { name: permission.cookieName, domain: permission.cookieDomain, path: '/' };
+    matches.set(getCookieKey(cookie), cookie);
+  }
+  return [...matches.values()];
+}
+
+function loadRiskSettings() {
+  return readNamespace('settings', ['riskWeights', 'riskThresholds']).then((result) => {
+    riskSettings = {
+      weights: normalizeRiskWeights(result.riskWeights),
+      thresholds: normalizeRiskThresholds(result.riskThresholds)
+    };
   });
 }
 
-// Save cookie explanations to storage
-function saveCookieExplanations() {
-  const explanationsObj = Object.fromEntries(cookieExplanations);
-  chrome.storage.local.set({ cookieExplanations: explanationsObj }, () => {
-    console.log('Cookie explanations saved:', cookieExplanations.size, 'explanations');
+function loadIncognitoSettings() {
+  return readNamespace('settings', ['incognitoHistoryInMemory']).then((result) => {
+    incognitoHistoryInMemory = result.incognitoHistoryInMemory !== false;
   });
 }
 
-// Get AI explanation for cookie (with caching)
-async function getAIExplanation(cookie) {
-  const cookieKey = `${cookie.name}_${cookie.domain}`;
+function shouldPersistCookie(cookie) {
+  return !(incognitoHistoryInMemory && isIncognitoStore(cookie.storeId));
+}
+
+// Queue one history entry for the IndexedDB store, which batches the writes;
+// private-browsing entries go to the session state instead
+function saveHistoryEntry(cookieKey) {
+  const entry = cookieHistory.get(cookieKey);
+  if (!entry) return;
   
-  // Check cache first
-  if (cookieExplanations.has(cookieKey)) {
-    console.log('Using cached explanation for:', cookie.name);
-    return cookieExplanations.get(cookieKey);
+  if (shouldPersistCookie(entry)) {
+    queueHistoryWrite(cookieKey, entry);
+  } else {
+    saveSessionState();
   }
-  
+}
+
+// Applies the retention settings to the stored history and the in-memory copy
+async function pruneCookieHistory() {
   try {
-    const potentialData = cookie.potentialData || [];
-    const dataTypesText = potentialData.length > 0 
-      ? potentialData.join(', ') 
-      : 'no specific data types detected';
-    
-    const prompt = `You are a privacy expert explaining cookies to non-technical users. Explain this cookie in 2-3 simple sentences:
-
-Cookie Name: ${cookie.name}
-Domain: ${cookie.domain}
-Collects: ${dataTypesText}
-Expires: ${cookie.expirationDate ? 'Long-term' : 'Session only'}
-
-Explain:
-1. What this cookie does in simple terms
-2. Why the website uses it
-3. Privacy concern (if any)
-
-Keep it under 50 words, casual friendly tone.`;
-
-    const response = await fetch(GROQ_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GROQ_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'llama-3.1-8b-instant', // Fast and free
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a friendly privacy expert who explains technical concepts in simple, everyday language.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 150
-      })
+    const settings = await readNamespace('settings', ['historyRetentionDays', 'historyMaxEntries']);
+    const removed = await pruneHistoryStore(normalizeHistoryRetention(settings));
+    removed.forEach(cookieKey => cookieHistory.delete(cookieKey));
+    if (removed.length > 0) {
+      console.log('Pruned cookie history:', removed.length, 'entries');
+    }
+  } catch (error) {
+    console.error('Error pruning cookie history:', error);
+  }
+}
+
+chrome.alarms.create(HISTORY_PRUNE_ALARM, { periodInMinutes: 60 });
+
+chrome.alarms.onAlarm.addListener(runWhenReady(async (alarm) => {
+  if (alarm.name === HISTORY_PRUNE_ALARM) {
+    pruneCookieHistory();
+  }
+}));
+
+runWhenBackgroundStarts(pruneCookieHistory);
+
+// Save cookie explanations to storage
+function saveCookieExplanations() {
+  const explanationsObj = Object.fromEntries(
+    [...cookieExplanations.entries()].filter(([key]) => !memoryOnlyExplanationKeys.has(key))
+  );
+  writeNamespace('history', { cookieExplanations: explanationsObj })
+    .then(() => {
+      console.log('Cookie explanations saved:', cookieExplanations.size, 'explanations');
+    })
+    .catch(error => {
+      console.error('Error saving cookie explanations:', error);
     });
+}
 
-    if (!response.ok) {
-      throw new Error(`Groq API error: ${response.status}`);
-    }
+// Falls back to the last fallback while a failing provider is backing off
+// (explanation-queue.js), so the popup isn't left waiting for it
+function getCachedExplanation(cookie, aiProvider) {
+  const cached = cookieExplanations.get(getExplanationKey(cookie));
+  return isExplanationCurrent(cached, aiProvider) ? cached : getFailedExplanation(cookie);
+}
 
-    const data = await response.json();
-    const explanation = data.choices[0].message.content.trim();
-    
-    // Cache the explanation
+// Runs inside the explanation queue (explanation-queue.js)
+async function generateCookieExplanation(cookie) {
+  const cookieKey = getExplanationKey(cookie);
+  const { aiProvider } = await readNamespace('settings', ['aiProvider']);
+  
+  // Another job may have produced it while this one waited
+  const cached = getCachedExplanation(cookie, aiProvider);
+  if (cached) {
+    return cached;
+  }
+  
+  // The API key stays in local storage so it isn't synced to other devices
+  const { aiProviderApiKey } = await chrome.storage.local.get(['aiProviderApiKey']);
+  const explanation = await generateExplanation({
+    ...cookie,
+    tracker: cookie.tracker || lookupTracker(cookie)
+  }, aiProvider, aiProviderApiKey);
+  
+  // Fallbacks aren't cached so the configured provider is retried next time
+  if (!explanation.fallbackReason) {
     cookieExplanations.set(cookieKey, explanation);
-    saveCookieExplanations();
-    
-    console.log('AI explanation generated for:', cookie.name);
-    return explanation;
-    
-  } catch (error) {
-    console.error('Error getting AI explanation:', error);
-    
-    // Fallback explanation
-    const fallbackExplanations = {
-      'session': 'This is a session cookie that helps the website remember you while you browse. It expires when you close your browser.',
-      'tracking': 'This cookie tracks your browsing activity across pages. It helps the site understand how you use their service.',
-      'analytics': 'This cookie collects statistics about how you use the website. Companies use this data to improve their site.',
-      'advertising': 'This cookie is used to show you personalized ads based on your interests and browsing history.',
-      'preference': 'This cookie remembers your settings and preferences so you don\'t have to set them every time.',
-      'default': 'This cookie helps the website function properly. It may store information about your session or preferences.'
-    };
-    
-    // Determine fallback type
-    const name = cookie.name.toLowerCase();
-    const potentialData = cookie.potentialData || [];
-    
-    if (name.includes('session') || name.includes('sid')) {
-      return fallbackExplanations.session;
-    } else if (potentialData.includes('marketing_data') || name.includes('ad')) {
-      return fallbackExplanations.advertising;
-    } else if (potentialData.includes('browsing_behavior') || name.includes('analytics')) {
-      return fallbackExplanations.analytics;
-    } else if (potentialData.includes('preferences') || name.includes('pref')) {
-      return fallbackExplanations.preference;
+    if (shouldPersistCookie(cookie)) {
+      memoryOnlyExplanationKeys.delete(cookieKey);
     } else {
-      return fallbackExplanations.default;
+      memoryOnlyExplanationKeys.add(cookieKey);
     }
+    saveCookieExplanations();
   }
+  
+  console.log(`Explanation generated for ${cookie.name} by ${explanation.providerLabel}`);
+  return explanation;
+}
+
+// Get an explanation for a cookie, waiting for the queue if it isn't cached
+async function getAIExplanation(cookie) {
+  const { aiProvider } = await readNamespace('settings', ['aiProvider']);
+  return getCachedExplanation(cookie, aiProvider) || enqueueExplanation(cookie, shouldPersistCookie(cookie));
 }
 
+runWhenBackgroundStarts(() => startExplanationQueue(generateCookieExplanation));
+
 // Update active tab domain when tab changes
-chrome.tabs.onActivated.addListener(async (activeInfo) => {
+chrome.tabs.onActivated.addListener(runWhenReady(async (activeInfo) => {
   try {
     const tab = await chrome.tabs.get(activeInfo.tabId);
     if (tab.url && tab.url.startsWith('http')) {
-      activeTabDomain = new URL(tab.url).hostname;
+      setActiveTabDomain(new URL(tab.url).hostname);
       console.log('Active domain updated:', activeTabDomain);
-      await updateCookieStats(tab.url);
+      await updateCookieStats(tab.url, await getCookieStoreIdForTab(tab), tab.id);
     }
   } catch (error) {
     console.log('Error updating active tab:', error);
   }
-});
+}));
 
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+chrome.tabs.onUpdated.addListener(runWhenReady(async (tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' && tab.url && tab.url.startsWith('http')) {
-    activeTabDomain = new URL(tab.url).hostname;
+    setActiveTabDomain(new URL(tab.url).hostname);
     console.log('Active domain updated (tab updated):', activeTabDomain);
-    await scanExistingCookies(tab.url);
-    await updateCookieStats(tab.url);
+    const storeId = await getCookieStoreIdForTab(tab);
+    await scanExistingCookies(tab.url, { storeId: storeId, tabId: tabId });
+    await updateCookieStats(tab.url, storeId, tabId);
   }
-});
+}));
 
 // Monitor cookie changes
-chrome.cookies.onChanged.addListener(async (changeInfo) => {
+chrome.cookies.onChanged.addListener(runWhenReady(async (changeInfo) => {
+  let attributedTabId = null;
   if (!changeInfo.removed) {
-    const potentialData = detectPotentialData(changeInfo.cookie);
-    const riskScore = await calculateRiskScore(changeInfo.cookie, potentialData);
+    const detection = detectCookieData(changeInfo.cookie);
+    const potentialData = detection.dataTypes;
+    // Judged against the page of the tab that set it (tab-attribution.js), not
+    // the tab in front; with no known tab there is no page to compare against
+    const attribution = await attributeCookieChange(changeInfo.cookie);
+    const pageDomain = attribution ? attribution.pageDomain : null;
+    attributedTabId = attribution ? attribution.tabId : null;
     
-    const cookieKey = `${changeInfo.cookie.name}_${changeInfo.cookie.domain}`;
+    const cookieKey = getCookieKey(changeInfo.cookie);
+    const previousEntry = cookieHistory.get(cookieKey);
+    
+    // Before the policy is read, so a cookie found to be a zombie now is
+    // already blocked this time round
+    const respawn = await trackCookieRespawn(changeInfo.cookie, previousEntry, attribution, potentialData);
+    const risk = calculateCookieRisk(changeInfo.cookie, potentialData, pageDomain, respawn);
+    if (!previousEntry || previousEntry.riskLevel !== risk.level) {
+      console.log(`Cookie ${changeInfo.cookie.name}: risk ${risk.level} (${risk.factors.map(factor => `${factor.factor} +${factor.points}`).join(', ')})`);
+    }
+    // null for a change by a response header or a script the hook didn't see
+    const scriptUrl = attribution ? attribution.scriptUrl : undefined;
+    const policyDecision = await getCookiePolicyDecision(changeInfo.cookie, potentialData, pageDomain, scriptUrl);
+    
+    // A new value can carry different data types, so the permission is re-evaluated
+    if (previousEntry && !sameDataTypes(previousEntry.potentialData, potentialData)) {
+      console.log(`Data types changed for ${changeInfo.cookie.name}, re-evaluated: ${policyDecision.reason}`);
+      policyDecision.reevaluatedAt = Date.now();
+      policyDecision.previousData = previousEntry.potentialData || [];
+    }
+    
+    // Set again after it was removed or blocked
+    const respawned = previousEntry && (previousEntry.status === 'removed' || previousEntry.status === 'blocked');
+    const eventType = respawned ? COOKIE_EVENT_RESPAWNED : previousEntry ? COOKIE_EVENT_CHANGED : COOKIE_EVENT_SET;
+    recordCookieEvent({
+      type: eventType,
+      cookie: changeInfo.cookie,
+      tabId: attributedTabId,
+      risk: risk,
+      attribution: attribution,
+      reason: respawned ? `Was ${previousEntry.status}${respawn && respawn.zombie ? `, zombie cookie (${respawn.count} respawn${respawn.count === 1 ? '' : 's'})` : ''}` : null
+    });
     
     cookieHistory.set(cookieKey, {
       ...changeInfo.cookie,
       potentialData: potentialData,
-      riskScore: riskScore,
+      dataFindings: detection.findings,
+      riskScore: risk.score,
+      riskLevel: risk.level,
+      riskFactors: risk.factors,
+      policyDecision: policyDecision,
+      flagged: policyDecision.decision === POLICY_FLAG,
+      // The page it was last set on, kept when this change couldn't be attributed
+      pageDomain: pageDomain || (previousEntry && previousEntry.pageDomain) || null,
+      // The script that last wrote it through document.cookie or CookieStore
+      scriptUrl: attribution ? attribution.scriptUrl : (previousEntry && previousEntry.scriptUrl) || null,
+      respawn: respawn,
       firstSeen: cookieHistory.has(cookieKey) ? cookieHistory.get(cookieKey).firstSeen : Date.now(),
       lastSeen: Date.now(),
       status: 'active'
     });
     
-    saveCookieHistory();
+    saveHistoryEntry(cookieKey);
     
-    await analyzeCookie(changeInfo.cookie, potentialData, riskScore);
+    await analyzeCookie(changeInfo.cookie, potentialData, risk, policyDecision, attribution ? attribution.tabId : null);
     
-    const shouldBlock = await shouldBlockCookie(changeInfo.cookie);
-    if (shouldBlock) {
+    if (policyDecision.decision === POLICY_BLOCK) {
       const historyEntry = cookieHistory.get(cookieKey);
       if (historyEntry) {
         historyEntry.status = 'blocked';
         historyEntry.blockedAt = Date.now();
         cookieHistory.set(cookieKey, historyEntry);
-        saveCookieHistory();
+        saveHistoryEntry(cookieKey);
       }
       
-      await chrome.cookies.remove({
-        url: getCookieUrl(changeInfo.cookie),
-        name: changeInfo.cookie.name
+      await chrome.cookies.remove(getCookieRemovalDetails(changeInfo.cookie));
+      console.log(`Blocked cookie: ${changeInfo.cookie.name} (${policyDecision.reason})`);
+      recordCookieEvent({
+        type: COOKIE_EVENT_BLOCKED,
+        cookie: changeInfo.cookie,
+        tabId: attributedTabId,
+        risk: risk,
+        attribution: attribution,
+        reason: policyDecision.reason
       });
-      console.log('Blocked cookie:', changeInfo.cookie.name);
+    } else if (policyDecision.decision === POLICY_RESTRICT) {
+      await applyCookieRestriction(changeInfo.cookie, policyDecision.restriction);
     }
-  } else {
-    const cookieKey = `${changeInfo.cookie.name}_${changeInfo.cookie.domain}`;
+  } else if (changeInfo.cause !== 'overwrite') {
+    // An overwrite is followed by the new cookie's own event
+    const cookieKey = getCookieKey(changeInfo.cookie);
     const historyEntry = cookieHistory.get(cookieKey);
     if (historyEntry && historyEntry.status === 'active') {
       historyEntry.status = 'removed';
       historyEntry.removedAt = Date.now();
+      // Only explicit removals count towards respawns (respawn-detector.js)
+      historyEntry.removalCause = changeInfo.cause;
       cookieHistory.set(cookieKey, historyEntry);
-      saveCookieHistory();
+      saveHistoryEntry(cookieKey);
+      
+      attributedTabId = findTabForCookie(cookieKey);
+      recordCookieEvent({
+        type: COOKIE_EVENT_REMOVED,
+        cookie: changeInfo.cookie,
+        tabId: attributedTabId,
+        reason: changeInfo.cause
+      });
     }
   }
   
   const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
   if (tabs.length > 0 && tabs[0].url) {
-    await updateCookieStats(tabs[0].url);
+    await updateCookieStats(tabs[0].url, await getCookieStoreIdForTab(tabs[0]), tabs[0].id);
   }
-});
+  // A tab in the background keeps its badge current too
+  if (attributedTabId !== null && (tabs.length === 0 || tabs[0].id !== attributedTabId)) {
+    await refreshTabBadge(attributedTabId);
+  }
+}));
+
+// Keep the declarativeNetRequest rules in step with permissions and rules,
+// including writes made from the popup and handleCookiePermissionsUpdate().
+// Settings and rules are in local storage too once sync has filled up.
+chrome.storage.onChanged.addListener(runWhenReady(async (changes, areaName) => {
+  if (areaName !== 'sync' && areaName !== 'local') return;
+  
+  if (changes.riskWeights || changes.riskThresholds) {
+    loadRiskSettings();
+  }
+  
+  if (changes.aiProvider || changes.aiProviderApiKey) {
+    clearExplanationFailures();
+  }
+  
+  // Drop private-browsing entries from storage, or write them out
+  if (changes.incognitoHistoryInMemory) {
+    incognitoHistoryInMemory = changes.incognitoHistoryInMemory.newValue !== false;
+    for (const [cookieKey, entry] of cookieHistory.entries()) {
+      if (!isIncognitoStore(entry.storeId)) continue;
+      if (incognitoHistoryInMemory) {
+        queueHistoryDelete(cookieKey);
+      } else {
+        saveHistoryEntry(cookieKey);
+      }
+    }
+    saveCookieExplanations();
+    saveSessionState();
+  }
+  
+  if (changes.historyRetentionDays || changes.historyMaxEntries) {
+    pruneCookieHistory();
+  }
+  
+  if (changes.badgeCount) {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+      await refreshTabBadge(tab.id);
+    }
+  }
+  
+  const affectsNetworkRules = Object.keys(changes).some(key =>
+    key === PERMISSIONS_STORAGE_KEY || key === 'cookieRules' || key === 'networkBlocking'
+  );
+  if (affectsNetworkRules) {
+    scheduleNetworkBlockSync();
+  }
+}));
+
+syncNetworkBlockRules();
 
-chrome.webNavigation.onCompleted.addListener((details) => {
+chrome.webNavigation.onCompleted.addListener(runWhenReady(async (details) => {
   if (details.url && details.url.startsWith('http')) {
-    scanExistingCookies(details.url);
+    // Cookies of an iframe's site are judged against the tab's top-level page
+    const ledger = getTabLedger(details.tabId);
+    scanExistingCookies(details.url, {
+      storeId: await getCookieStoreIdForTab(details.tabId),
+      tabId: details.tabId,
+      pageDomain: details.frameId !== 0 && ledger ? ledger.hostname : undefined
+    });
   }
-});
+}));
+
+// Chrome clears an incognito cookie store when its last private window closes;
+// the in-memory history of that store goes with it
+chrome.windows.onRemoved.addListener(runWhenReady(async () => {
+  if (!incognitoHistoryInMemory) return;
+  
+  const openStoreIds = new Set((await refreshCookieStores()).map(store => store.id));
+  let purged = 0;
+  
+  for (const [cookieKey, entry] of [...cookieHistory.entries()]) {
+    const storeId = entry.storeId || DEFAULT_COOKIE_STORE_ID;
+    if (storeId !== DEFAULT_COOKIE_STORE_ID && !openStoreIds.has(storeId)) {
+      cookieHistory.delete(cookieKey);
+      purged++;
+    }
+  }
+  
+  if (purged > 0) {
+    console.log('Discarded private browsing history:', purged, 'cookies');
+    saveSessionState();
+  }
+}));
 
 // Handle messages from content script and popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -232,6 +571,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       console.log('Content script loaded for:', message.url);
       break;
       
+    case 'COOKIE_WRITE':
+      // From cookie-write-relay.js; only frames of a tab can report writes
+      if (sender.tab && message.write) {
+        recordScriptCookieWrite(sender.tab.id, sender.frameId, sender.url, message.write);
+      }
+      break;
+      
     case 'OPEN_POPUP':
       chrome.action.openPopup();
       break;
@@ -242,49 +588,139 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       return true;
       
+    // Pages that only hold part of a cookie (the DevTools panel) send its
+    // cookieKey, with that part for a cookie that was never stored, and the
+    // data types allowed default to all it carries
     case 'UPDATE_COOKIE_PERMISSIONS':
-      handleCookiePermissionsUpdate(message.cookie, message.allowedDataTypes, message.action)
+      whenBackgroundReady()
+        .then(() => message.cookieKey ? findCookieByKey(message.cookieKey, message.cookie) : message.cookie)
+        .then(cookie => {
+          if (!cookie) throw new Error('The cookie is neither stored nor in the history');
+          const allowedDataTypes = message.allowedDataTypes ||
+            (message.action === 'allow' ? cookie.potentialData || [] : []);
+          return handleCookiePermissionsUpdate(cookie, allowedDataTypes, message.action);
+        })
         .then(() => {
           sendResponse({ success: true });
+        })
+        .catch(error => {
+          console.error('Error saving cookie permission:', error);
+          sendResponse({ success: false, error: error.message });
         });
       return true;
       
+    case 'REMOVE_COOKIE_PERMISSIONS':
+      whenBackgroundReady()
+        .then(() => removePermissions(message.permissionKeys || []))
+        .then(() => {
+          sendResponse({ success: true });
+        })
+        .catch(error => {
+          console.error('Error removing cookie permissions:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true;
+      
+    case 'CLEAR_COOKIE_DATA':
+      whenBackgroundReady().then(clearCookieData).then(result => {
+        sendResponse(result);
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      return true;
+      
+    case 'UPDATE_COOKIE_RULES':
+      whenBackgroundReady().then(() => handleCookieRulesUpdate(message.rules)).then(result => {
+        sendResponse(result);
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      return true;
+      
     case 'GET_COOKIE_STATS':
       chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
-        if (tabs.length > 0 && tabs[0].url) {
-          const stats = await updateCookieStats(tabs[0].url);
-          sendResponse(stats);
+        try {
+          await whenBackgroundReady();
+          if (tabs.length > 0 && tabs[0].url) {
+            const stats = await updateCookieStats(tabs[0].url, await getCookieStoreIdForTab(tabs[0]), tabs[0].id);
+            sendResponse(stats);
+          } else {
+            sendResponse(cookieStats);
+          }
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
         }
       });
       return true;
       
     case 'GET_ALL_COOKIE_DATA':
-      getAllCookieData().then(data => {
+      whenBackgroundReady().then(getAllCookieData).then(data => {
         sendResponse(data);
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      return true;
+      
+    case 'QUERY_COOKIES':
+      whenBackgroundReady().then(() => queryDashboardCookies(message)).then(result => {
+        sendResponse(result);
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      return true;
+      
+    case 'GET_SITE_SUMMARIES':
+      whenBackgroundReady().then(() => getDashboardSiteSummaries(message)).then(result => {
+        sendResponse(result);
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      return true;
+      
+    case 'BULK_COOKIE_ACTION':
+      whenBackgroundReady().then(() => handleBulkCookieAction(message.cookieKeys, message.action)).then(result => {
+        sendResponse(result);
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      return true;
+      
+    case 'LOOKUP_SET_COOKIES':
+      whenBackgroundReady().then(() => lookupSetCookies(message.tabId, message.cookies)).then(result => {
+        sendResponse(result);
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
       });
       return true;
       
     case 'GET_AI_EXPLANATION':
-      getAIExplanation(message.cookie).then(explanation => {
+      whenBackgroundReady().then(() => getAIExplanation(message.cookie)).then(explanation => {
         sendResponse({ explanation: explanation });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
       });
       return true;
   }
 });
 
-async function analyzeCookie(cookie, potentialData, riskScore) {
+// Warns in the tab that caused the cookie; tabId is null when that's unknown
+async function analyzeCookie(cookie, potentialData, risk, policyDecision, tabId) {
   try {
-    const settings = await chrome.storage.sync.get(['showNotifications']);
+    const settings = await readNamespace('settings', ['showNotifications']);
+    const isFlagged = policyDecision && policyDecision.decision === POLICY_FLAG;
     
-    if (riskScore >= 3 && settings.showNotifications !== false) {
-      console.log(`Suspicious cookie detected: ${cookie.name} (Risk: ${riskScore})`);
+    if ((risk.level !== RISK_LEVEL_LOW || isFlagged) && settings.showNotifications !== false) {
+      console.log(`Suspicious cookie detected: ${cookie.name} (Risk: ${risk.score})`);
       
-      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (tabs.length > 0 && tabs[0].url && tabs[0].url.startsWith('http')) {
-        chrome.tabs.sendMessage(tabs[0].id, {
+      const tab = tabId !== null && tabId !== undefined ? await chrome.tabs.get(tabId).catch(() => null) : null;
+      if (tab && tab.url && tab.url.startsWith('http')) {
+        chrome.tabs.sendMessage(tab.id, {
           type: 'SUSPICIOUS_COOKIE',
           cookie: { ...cookie, potentialData: potentialData },
-          riskScore: riskScore
+          riskScore: risk.score,
+          riskLevel: risk.level,
+          riskFactors: risk.factors,
+          policyDecision: policyDecision
         }).catch(error => {
           // Content script might not be ready
         });
@@ -295,103 +731,119 @@ async function analyzeCookie(cookie, potentialData, riskScore) {
   }
 }
 
-async function calculateRiskScore(cookie, potentialData) {
-  let score = 0;
-  
-  const dataTypes = potentialData || detectPotentialData(cookie);
-  score += dataTypes.length;
-  
-  const trackingPatterns = ['_ga', '_gid', '_fbp', 'fr', 'track', 'uid', 'analytics', 'ad', 'pixel'];
-  const cookieStr = (cookie.name + cookie.value).toLowerCase();
-  
-  trackingPatterns.forEach(pattern => {
-    if (cookieStr.includes(pattern)) score += 1;
+// Returns { score, level, factors } from risk-model.js, scored against the
+// page the user is on unless another page domain (or null for none) is given
+// respawn defaults to the cookie's record in history. Callers scoring many
+// cookies build the ID sync index once and pass it in as idSyncIndex.
+function calculateCookieRisk(cookie, potentialData, pageDomain = activeTabDomain, respawn = undefined, idSyncIndex = null) {
+  const risk = calculateRiskBreakdown(cookie, {
+    potentialData: potentialData || detectPotentialData(cookie),
+    tracker: lookupTracker(cookie),
+    isThirdParty: isThirdPartyCookie(cookie, pageDomain),
+    pageDomain: pageDomain,
+    respawn: respawn !== undefined ? respawn : getCookieHistoryField(cookie, 'respawn'),
+    idSync: isIncognitoStore(cookie.storeId) ? null : findCookieIdSync(idSyncIndex || getIdSyncIndex(cookieHistory), cookie),
+    weights: riskSettings.weights,
+    thresholds: riskSettings.thresholds
   });
   
-  try {
-    if (activeTabDomain && !isSameDomain(cookie.domain, activeTabDomain)) {
-      score += 2;
-    }
-  } catch (error) {
-    console.log('Error checking cookie domain:', error);
-  }
-  
-  if (cookie.expirationDate && cookie.expirationDate > (Date.now() / 1000) + 31536000) {
-    score += 1;
-  }
-  
-  if (!cookie.secure && cookie.domain && !cookie.domain.startsWith('http')) {
-    score += 1;
-  }
-  
-  console.log(`Cookie ${cookie.name}: ${dataTypes.length} data types, total score: ${score}`);
-  
-  return score;
+  return risk;
 }
 
-function isSameDomain(cookieDomain, currentDomain) {
+// First-party means the same registrable domain (eTLD+1) as the page;
+// null when there is no page to compare against
+function isThirdPartyCookie(cookie, pageDomain) {
+  if (!pageDomain) return null;
   try {
-    const normalizeDomain = (domain) => {
-      return domain.replace(/^\./, '').toLowerCase();
-    };
-    
-    const normCookieDomain = normalizeDomain(cookieDomain);
-    const normCurrentDomain = normalizeDomain(currentDomain);
-    
-    return normCurrentDomain.endsWith(normCookieDomain) || normCookieDomain.endsWith(normCurrentDomain);
+    return !isSameSite(cookie.domain, pageDomain);
   } catch (error) {
-    return false;
+    console.log('Error checking cookie domain:', error);
+    return null;
   }
 }
 
-async function scanExistingCookies(url) {
+// options: { storeId, tabId, pageDomain }; the page defaults to url's host
+async function scanExistingCookies(url, options = {}) {
   try {
-    const cookies = await chrome.cookies.getAll({ url });
-    console.log(`Found ${cookies.length} cookies for ${url}`);
+    const storeId = options.storeId || DEFAULT_COOKIE_STORE_ID;
+    const pageDomain = options.pageDomain || new URL(url).hostname;
+    const cookies = await chrome.cookies.getAll({ url, storeId });
+    console.log(`Found ${cookies.length} cookies for ${url} in store ${storeId}`);
     
-    const settings = await chrome.storage.sync.get(['autoBlockHighRisk']);
+    const settings = await readNamespace('settings', ['autoBlockHighRisk']);
+    const idSyncIndex = getIdSyncIndex(cookieHistory);
     
     for (const cookie of cookies) {
-      const potentialData = detectPotentialData(cookie);
-      const riskScore = await calculateRiskScore(cookie, potentialData);
+      const detection = detectCookieData(cookie);
+      const potentialData = detection.dataTypes;
+      const risk = calculateCookieRisk(cookie, potentialData, pageDomain, undefined, idSyncIndex);
+      const policyDecision = await getCookiePolicyDecision(cookie, potentialData, pageDomain);
       
-      const cookieKey = `${cookie.name}_${cookie.domain}`;
+      const cookieKey = getCookieKey(cookie);
+      const previousEntry = cookieHistory.get(cookieKey);
       
       cookieHistory.set(cookieKey, {
         ...cookie,
         potentialData: potentialData,
-        riskScore: riskScore,
+        dataFindings: detection.findings,
+        riskScore: risk.score,
+        riskLevel: risk.level,
+        riskFactors: risk.factors,
+        policyDecision: policyDecision,
+        flagged: policyDecision.decision === POLICY_FLAG,
+        pageDomain: pageDomain,
+        // A scan sees the cookie, not who wrote it or how often it came back
+        scriptUrl: previousEntry ? previousEntry.scriptUrl || null : null,
+        respawn: previousEntry ? previousEntry.respawn || null : null,
         firstSeen: cookieHistory.has(cookieKey) ? cookieHistory.get(cookieKey).firstSeen : Date.now(),
         lastSeen: Date.now(),
         status: 'active'
       });
+      saveHistoryEntry(cookieKey);
+      
+      await analyzeCookie(cookie, potentialData, risk, policyDecision, options.tabId);
+      
+      if (policyDecision.decision === POLICY_BLOCK) {
+        const historyEntry = cookieHistory.get(cookieKey);
+        historyEntry.status = 'blocked';
+        historyEntry.blockedAt = Date.now();
+        cookieHistory.set(cookieKey, historyEntry);
+        saveHistoryEntry(cookieKey);
+        
+        await chrome.cookies.remove(getCookieRemovalDetails(cookie));
+        console.log(`Blocked existing cookie: ${cookie.name} (${policyDecision.reason})`);
+        continue;
+      }
       
-      await analyzeCookie(cookie, potentialData, riskScore);
+      if (policyDecision.decision === POLICY_RESTRICT) {
+        await applyCookieRestriction(cookie, policyDecision.restriction);
+      }
       
       if (settings.autoBlockHighRisk) {
-        if (riskScore >= 5) {
+        if (risk.level === RISK_LEVEL_HIGH) {
           const historyEntry = cookieHistory.get(cookieKey);
           if (historyEntry) {
             historyEntry.status = 'blocked';
             historyEntry.blockedAt = Date.now();
             historyEntry.autoBlocked = true;
             cookieHistory.set(cookieKey, historyEntry);
+            saveHistoryEntry(cookieKey);
           }
           
-          await chrome.cookies.remove({
-            url: getCookieUrl(cookie),
-            name: cookie.name
-          });
+          await chrome.cookies.remove(getCookieRemovalDetails(cookie));
           console.log('Auto-blocked high-risk cookie:', cookie.name);
           
-          const permissionKey = `cookie_${cookie.name}_${cookie.domain}`;
-          await chrome.storage.sync.set({
+          // Permissions are stored in chrome.storage.local, which a private
+          // cookie kept in memory mustn't reach; the next scan blocks it again
+          if (!shouldPersistCookie(cookie)) continue;
+          
+          const permissionKey = getPermissionKey(cookie);
+          await setPermissions({
             [permissionKey]: {
               allowedDataTypes: [],
               action: 'block',
               timestamp: Date.now(),
-              cookieName: cookie.name,
-              cookieDomain: cookie.domain,
+              ...getPermissionIdentityFields(cookie),
               autoBlocked: true,
               blocked: true,
               potentialData: potentialData
@@ -400,157 +852,321 @@ async function scanExistingCookies(url) {
         }
       }
     }
-    
-    saveCookieHistory();
   } catch (error) {
     console.log('Error scanning cookies:', error);
   }
 }
 
+// The history entry for a cookieKey, or the cookie in the browser when it has
+// none yet. A cookie the browser rejected or never got (its Set-Cookie header
+// was stripped) is in neither, so fallback, the cookie as parsed from its
+// header, stands in for it when its key matches.
+async function findCookieByKey(cookieKey, fallback = null) {
+  if (cookieHistory.has(cookieKey)) {
+    return cookieHistory.get(cookieKey);
+  }
+  const identity = parseCookieKey(cookieKey);
+  const cookies = await chrome.cookies.getAll({ name: identity.name, storeId: identity.storeId });
+  const cookie = cookies.find(candidate => getCookieKey(candidate) === cookieKey);
+  if (cookie) {
+    return { ...cookie, potentialData: detectPotentialData(cookie) };
+  }
+  return fallback && getCookieKey(fallback) === cookieKey ? fallback : null;
+}
+
 async function handleCookiePermissionsUpdate(cookie, allowedDataTypes, action) {
   console.log(`Cookie permission updated: ${cookie.name} - ${action}`, allowedDataTypes);
   
-  const permissionKey = `cookie_${cookie.name}_${cookie.domain}`;
-  const cookieKey = `${cookie.name}_${cookie.domain}`;
+  await applyCookiePermissions([{ cookie: cookie, allowedDataTypes: allowedDataTypes }], action);
   
-  const isBlocking = action === 'block' || (action === 'custom' && allowedDataTypes.length === 0);
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (tabs.length > 0 && tabs[0].url) {
+    await updateCookieStats(tabs[0].url, await getCookieStoreIdForTab(tabs[0]), tabs[0].id);
+  }
+}
+
+// Saves the same action for every cookie in one permissions write, then brings
+// their history entries and the cookies in the browser in line with it
+async function applyCookiePermissions(items, action) {
+  const settings = await readNamespace('settings', ['customEnforcement']);
+  const entries = {};
+  const decisions = [];
   
-  await chrome.storage.sync.set({
-    [permissionKey]: {
+  for (const { cookie, allowedDataTypes } of items) {
+    const historyEntry = cookieHistory.get(getCookieKey(cookie));
+    const potentialData = (historyEntry && historyEntry.potentialData) || cookie.potentialData || [];
+    
+    const permission = {
       allowedDataTypes: allowedDataTypes,
       action: action,
       timestamp: Date.now(),
-      cookieName: cookie.name,
-      cookieDomain: cookie.domain,
-      potentialData: cookie.potentialData || [],
-      blocked: isBlocking
-    }
-  });
+      ...getPermissionIdentityFields(cookie),
+      potentialData: potentialData
+    };
+    
+    const policyDecision = resolvePolicyDecision(permission, potentialData, settings);
+    permission.blocked = policyDecision.decision === POLICY_BLOCK;
+    entries[getPermissionKey(cookie)] = permission;
+    decisions.push({ cookie: cookie, allowedDataTypes: allowedDataTypes, policyDecision: policyDecision });
+  }
+  
+  await setPermissions(entries);
   
-  const historyEntry = cookieHistory.get(cookieKey);
-  if (historyEntry) {
-    historyEntry.status = isBlocking ? 'blocked' : 'active';
+  for (const { cookie, allowedDataTypes, policyDecision } of decisions) {
+    const cookieKey = getCookieKey(cookie);
+    const historyEntry = cookieHistory.get(cookieKey);
+    const isBlocking = policyDecision.decision === POLICY_BLOCK;
+    
+    if (historyEntry) {
+      historyEntry.status = isBlocking ? 'blocked' : 'active';
+      historyEntry.policyDecision = policyDecision;
+      historyEntry.flagged = false;
+      if (isBlocking) {
+        historyEntry.blockedAt = Date.now();
+      }
+      historyEntry.userAction = action;
+      historyEntry.allowedDataTypes = allowedDataTypes;
+      cookieHistory.set(cookieKey, historyEntry);
+      saveHistoryEntry(cookieKey);
+    }
+    
     if (isBlocking) {
-      historyEntry.blockedAt = Date.now();
+      try {
+        // Resolves to null when the cookie wasn't in the browser
+        const removed = await chrome.cookies.remove(getCookieRemovalDetails(cookie));
+        console.log('Cookie blocked and removed:', cookie.name);
+        if (removed) {
+          recordCookieEvent({
+            type: COOKIE_EVENT_BLOCKED,
+            cookie: cookie,
+            tabId: findTabForCookie(cookieKey),
+            reason: policyDecision.reason
+          });
+        }
+      } catch (error) {
+        console.error('Error removing cookie:', error);
+      }
+    } else if (policyDecision.decision === POLICY_RESTRICT) {
+      const liveCookie = await chrome.cookies.get(getCookieRemovalDetails(cookie));
+      if (liveCookie) {
+        await applyCookieRestriction(liveCookie, policyDecision.restriction);
+      }
     }
-    historyEntry.userAction = action;
-    historyEntry.allowedDataTypes = allowedDataTypes;
-    cookieHistory.set(cookieKey, historyEntry);
-    saveCookieHistory();
+  }
+}
+
+// Re-set a cookie as a session cookie or with a capped lifetime
+async function applyCookieRestriction(cookie, restriction) {
+  if (isRestrictionSatisfied(cookie, restriction)) {
+    return;
   }
   
-  if (isBlocking) {
-    try {
-      await chrome.cookies.remove({
-        url: getCookieUrl(cookie),
-        name: cookie.name
-      });
-      console.log('Cookie blocked and removed:', cookie.name);
-    } catch (error) {
-      console.error('Error removing cookie:', error);
+  try {
+    const details = {
+      url: getCookieUrl(cookie),
+      name: cookie.name,
+      value: cookie.value,
+      path: cookie.path,
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      sameSite: cookie.sameSite,
+      storeId: cookie.storeId
+    };
+    
+    if (cookie.partitionKey && cookie.partitionKey.topLevelSite) {
+      details.partitionKey = cookie.partitionKey;
+    }
+    
+    // Host-only cookies must not get a domain attribute
+    if (!cookie.hostOnly) {
+      details.domain = cookie.domain;
     }
+    
+    const expirationDate = getRestrictedExpiration(cookie, restriction);
+    if (expirationDate) {
+      details.expirationDate = expirationDate;
+    }
+    
+    await chrome.cookies.set(details);
+    console.log(`Restricted cookie ${cookie.name} (${restriction})`);
+  } catch (error) {
+    console.error('Error restricting cookie:', error);
   }
+}
+
+function sameDataTypes(a, b) {
+  const setA = new Set(a || []);
+  const setB = new Set(b || []);
+  return setA.size === setB.size && [...setA].every(dataType => setB.has(dataType));
+}
+
+async function handleCookieRulesUpdate(rules) {
+  const normalizedRules = (rules || []).map(createRule);
   
+  for (const rule of normalizedRules) {
+    const error = validateRule(rule);
+    if (error) {
+      return { success: false, error: `${rule.name}: ${error}` };
+    }
+  }
+  
+  try {
+    await writeNamespace('rules', { cookieRules: normalizedRules });
+  } catch (error) {
+    console.error('Error saving cookie rules:', error);
+    return { success: false, error: error.message };
+  }
+  
+  console.log('Cookie rules updated:', normalizedRules.length, 'rules');
+  
+  // Apply the new rules to the cookies already on the current page
   const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (tabs.length > 0 && tabs[0].url) {
-    await updateCookieStats(tabs[0].url);
+  if (tabs.length > 0 && tabs[0].url && tabs[0].url.startsWith('http')) {
+    const storeId = await getCookieStoreIdForTab(tabs[0]);
+    await scanExistingCookies(tabs[0].url, { storeId: storeId, tabId: tabs[0].id });
+    await updateCookieStats(tabs[0].url, storeId, tabs[0].id);
   }
+  
+  return { success: true, rules: normalizedRules };
 }
 
-async function shouldBlockCookie(cookie) {
+// Forgets permissions and history; settings and pattern rules are kept
+async function clearCookieData() {
   try {
-    const permissionKey = `cookie_${cookie.name}_${cookie.domain}`;
-    const result = await chrome.storage.sync.get([permissionKey]);
-    
-    if (result[permissionKey]) {
-      const permission = result[permissionKey];
-      return permission.action === 'block' || 
-             (permission.action === 'custom' && permission.allowedDataTypes.length === 0);
-    }
-    
-    return false;
+    cookieHistory.clear();
+    cookieExplanations.clear();
+    memoryOnlyExplanationKeys.clear();
+    await Promise.all([clearNamespace('permissions'), clearNamespace('history'), clearHistoryStore()]);
+    console.log('Cookie permissions and history cleared');
+    return { success: true };
   } catch (error) {
-    return false;
+    console.error('Error clearing cookie data:', error);
+    return { success: false, error: error.message };
   }
 }
 
-function getCookieUrl(cookie) {
-  const protocol = cookie.secure ? 'https:' : 'http:';
-  const domain = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
-  return `${protocol}//${domain}${cookie.path}`;
+// cookie may be a live cookie or its history entry
+function getCookieHistoryField(cookie, field) {
+  const historyEntry = cookie[field] !== undefined ? cookie : cookieHistory.get(getCookieKey(cookie));
+  return historyEntry ? historyEntry[field] || null : null;
 }
 
-async function updateCookieStats(url) {
-  try {
-    const hostname = new URL(url).hostname;
-    const cookies = await chrome.cookies.getAll({ url });
-    const allPermissions = await chrome.storage.sync.get(null);
-    
-    let suspiciousCount = 0;
-    let blockedCount = 0;
-    let allowedCount = 0;
-    
-    const allCookieKeys = new Set();
-    
-    for (const cookie of cookies) {
-      const cookieKey = `${cookie.name}_${cookie.domain}`;
-      allCookieKeys.add(cookieKey);
-      
-      const potentialData = detectPotentialData(cookie);
-      const riskScore = await calculateRiskScore(cookie, potentialData);
-      
-      if (riskScore >= 3) {
-        suspiciousCount++;
-      }
-      
-      const permissionKey = `cookie_${cookie.name}_${cookie.domain}`;
-      if (allPermissions[permissionKey]) {
-        const permission = allPermissions[permissionKey];
-        if (permission.action === 'allow') {
-          allowedCount++;
-        } else if (permission.action === 'custom' && permission.allowedDataTypes.length > 0) {
-          allowedCount++;
-        }
-      }
-    }
-    
-    for (const [cookieKey, historyEntry] of cookieHistory.entries()) {
-      const cookieDomain = historyEntry.domain.replace(/^\./, '');
-      if (hostname.includes(cookieDomain) || cookieDomain.includes(hostname)) {
-        if (!allCookieKeys.has(cookieKey)) {
-          allCookieKeys.add(cookieKey);
-          
-          if (historyEntry.riskScore >= 3) {
-            suspiciousCount++;
-          }
-        }
-        
-        const permissionKey = `cookie_${historyEntry.name}_${historyEntry.domain}`;
-        if (allPermissions[permissionKey] && allPermissions[permissionKey].blocked) {
-          if (historyEntry.status !== 'blocked') {
-            historyEntry.status = 'blocked';
-          }
-          blockedCount++;
+// scriptUrl defaults to the script history says last wrote the cookie
+function findRuleForCookie(cookie, potentialData, rules, pageDomain, scriptUrl) {
+  return findMatchingRule(rules, cookie, {
+    potentialData: potentialData,
+    isThirdParty: isThirdPartyCookie(cookie, pageDomain),
+    isIncognito: isIncognitoStore(cookie.storeId),
+    scriptUrl: scriptUrl !== undefined ? scriptUrl : getCookieHistoryField(cookie, 'scriptUrl')
+  });
+}
+
+// Counts a cookie set again after it was blocked or deleted and returns its
+// respawn record (respawn-detector.js). A zombie is only scored until it has
+// respawned repeatedly; then it gets a blocking permission, unless the user
+// already chose a permission for it.
+async function trackCookieRespawn(cookie, previousEntry, attribution, potentialData) {
+  if (!isDeliberateRemoval(previousEntry)) {
+    return previousEntry ? previousEntry.respawn || null : null;
+  }
+  
+  // Only the top frame's storage is reachable through content.js
+  const storageKeys = attribution && attribution.frameId === 0
+    ? await findStoredCookieCopies(attribution.tabId, getRespawnProbeValues(previousEntry, cookie))
+    : [];
+  const respawn = recordCookieRespawn(previousEntry, cookie, storageKeys);
+  
+  if (respawn.zombie && !(previousEntry.respawn && previousEntry.respawn.zombie)) {
+    console.log(`Zombie cookie detected: ${cookie.name} (${describeRespawn(respawn)})`);
+  }
+  
+  // Removing it after the fact only starts another round, so a repeat
+  // respawner is stopped at the network level too. A cookie the user blocked
+  // is escalated as well; one they allowed is left alone. A private cookie
+  // kept in memory gets no stored permission, and the network rule doesn't
+  // cover private windows anyway.
+  if (respawn.zombie && isRepeatedRespawn(respawn) && !isRepeatedRespawn(previousEntry.respawn) &&
+    shouldPersistCookie(cookie)) {
+    const permissionKey = getPermissionKey(cookie);
+    const permissions = await getAllPermissions();
+    const permission = permissions[permissionKey];
+    if (!permission) {
+      await setPermissions({
+        [permissionKey]: {
+          allowedDataTypes: [],
+          action: 'block',
+          timestamp: Date.now(),
+          ...getPermissionIdentityFields(cookie),
+          autoBlocked: true,
+          zombieBlocked: true,
+          blocked: true,
+          potentialData: potentialData
         }
-      }
+      });
+    } else if (permission.blocked && !permission.zombieBlocked) {
+      await setPermissions({ [permissionKey]: { ...permission, zombieBlocked: true } });
+    } else {
+      return respawn;
     }
+    console.log(`Zombie cookie ${cookie.name} respawned ${respawn.times.length} times, blocking ${cookie.domain} at the network level`);
+    scheduleNetworkBlockSync();
+  }
+  return respawn;
+}
+
+// localStorage keys in the tab's page that hold one of the values
+async function findStoredCookieCopies(tabId, values) {
+  if (values.length === 0) return [];
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { type: 'FIND_STORAGE_VALUES', values: values }, { frameId: 0 });
+    return response && Array.isArray(response.keys) ? response.keys : [];
+  } catch (error) {
+    // No content script in the page (still loading, or not a web page)
+    return [];
+  }
+}
+
+// Permissions, plus the settings and rules resolvePolicyDecision() reads
+async function getPolicyStorage() {
+  const [permissions, settings, rules] = await Promise.all([
+    getAllPermissions(),
+    readNamespace('settings'),
+    readNamespace('rules')
+  ]);
+  return { permissions: permissions, settings: { ...settings, ...rules } };
+}
+
+// Explicit per-cookie permission first, then pattern rules, then the Settings-tab default policy
+async function getCookiePolicyDecision(cookie, potentialData, pageDomain = activeTabDomain, scriptUrl = undefined) {
+  try {
+    const { permissions, settings } = await getPolicyStorage();
+    const matchedRule = findRuleForCookie(cookie, potentialData, settings.cookieRules, pageDomain, scriptUrl);
     
-    const totalCount = allCookieKeys.size;
-    
-    cookieStats = {
-      total: totalCount,
-      suspicious: suspiciousCount,
-      blocked: blockedCount,
-      allowed: allowedCount
-    };
+    return resolvePolicyDecision(permissions[getPermissionKey(cookie)], potentialData, settings, matchedRule);
+  } catch (error) {
+    console.log('Error evaluating cookie policy:', error);
+    return { decision: POLICY_ALLOW, source: 'default_policy', dataType: null, reason: 'Allowed by default policy' };
+  }
+}
+
+// Stats of the tab in front, shown by the popup; tabId also sets that tab's badge
+async function updateCookieStats(url, storeId = DEFAULT_COOKIE_STORE_ID, tabId = null) {
+  try {
+    cookieStats = await countCookieStats(url, storeId);
     
     console.log('Updated stats:', cookieStats);
+    saveSessionState();
     
     chrome.runtime.sendMessage({
       type: 'STATS_UPDATED',
       stats: cookieStats
     }).catch(() => {});
     
+    if (tabId !== null) {
+      const settings = await readNamespace('settings', ['badgeCount']);
+      await updateTabBadge(tabId, cookieStats, settings.badgeCount);
+    }
+    
     return cookieStats;
   } catch (error) {
     console.error('Error updating stats:', error);
@@ -558,6 +1174,59 @@ async function updateCookieStats(url) {
   }
 }
 
+// Sets the badge of a tab that isn't in front, without touching cookieStats
+async function refreshTabBadge(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab.url || !tab.url.startsWith('http')) return;
+    
+    const stats = await countCookieStats(tab.url, await getCookieStoreIdForTab(tab));
+    const settings = await readNamespace('settings', ['badgeCount']);
+    await updateTabBadge(tabId, stats, settings.badgeCount);
+  } catch (error) {
+    console.log('Error refreshing badge for tab', tabId, error.message);
+  }
+}
+
+// Only counts: history entries get their 'blocked' status where a cookie is
+// actually removed (cookies.onChanged, scanExistingCookies(), applyCookiePermissions())
+async function countCookieStats(url, storeId) {
+  const hostname = new URL(url).hostname;
+  const cookies = await chrome.cookies.getAll({ url, storeId });
+  const { permissions, settings } = await getPolicyStorage();
+  const idSyncIndex = getIdSyncIndex(cookieHistory);
+  
+  // The same cookies getAllCookieData() gives the popup: the page's stored
+  // cookies, then the rest of the site's history
+  const records = [];
+  const addRecord = (cookie, potentialData) => {
+    const permission = permissions[getPermissionKey(cookie)] || null;
+    const matchedRule = findRuleForCookie(cookie, potentialData, settings.cookieRules, hostname);
+    records.push({
+      riskLevel: calculateCookieRisk(cookie, potentialData, hostname, undefined, idSyncIndex).level,
+      permission: permission,
+      policyDecision: resolvePolicyDecision(permission, potentialData, settings, matchedRule)
+    });
+  };
+  
+  const processedCookies = new Set();
+  for (const cookie of cookies) {
+    const cookieKey = getCookieKey(cookie);
+    processedCookies.add(cookieKey);
+    const historyEntry = cookieHistory.get(cookieKey);
+    addRecord(cookie, historyEntry && historyEntry.dataFindings ? historyEntry.potentialData : detectPotentialData(cookie));
+  }
+  
+  for (const [cookieKey, historyEntry] of cookieHistory.entries()) {
+    if (processedCookies.has(cookieKey)) continue;
+    if (isSameSite(historyEntry.domain, hostname) && isSameCookieStore(historyEntry, storeId)) {
+      addRecord(historyEntry, historyEntry.potentialData);
+    }
+  }
+  
+  return countCookieRecords(records);
+}
+
 async function getAllCookieData() {
   try {
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -567,60 +1236,71 @@ async function getAllCookieData() {
     
     const url = tabs[0].url;
     const hostname = new URL(url).hostname;
-    const cookies = await chrome.cookies.getAll({ url });
-    const allData = await chrome.storage.sync.get(null);
-    
-    const permissions = {};
-    const settings = {};
-    
-    for (const [key, value] of Object.entries(allData)) {
-      if (key.startsWith('cookie_')) {
-        permissions[key] = value;
-      } else {
-        settings[key] = value;
-      }
-    }
+    const storeId = await getCookieStoreIdForTab(tabs[0]);
+    const cookies = await chrome.cookies.getAll({ url, storeId });
+    const { permissions, settings } = await getPolicyStorage();
+    // What this tab set since its page loaded, including cookies of iframes
+    // and third-party requests that getAll() for the page URL doesn't return
+    const ledger = getTabLedgerEntries(tabs[0].id);
+    const attributions = new Map(ledger.map(entry => [entry.cookieKey, entry]));
+    const idSyncIndex = getIdSyncIndex(cookieHistory);
     
     const analyzedCookies = [];
     const processedCookies = new Set();
     
     for (const cookie of cookies) {
-      const cookieKey = `${cookie.name}_${cookie.domain}`;
+      const cookieKey = getCookieKey(cookie);
       processedCookies.add(cookieKey);
       
       const historyEntry = cookieHistory.get(cookieKey);
-      const potentialData = historyEntry ? historyEntry.potentialData : detectPotentialData(cookie);
-      const riskScore = historyEntry ? historyEntry.riskScore : await calculateRiskScore(cookie, potentialData);
-      
-      let riskLevel = 'low';
-      if (riskScore >= 5) riskLevel = 'high';
-      else if (riskScore >= 3) riskLevel = 'medium';
+      const detection = historyEntry && historyEntry.dataFindings
+        ? { dataTypes: historyEntry.potentialData, findings: historyEntry.dataFindings }
+        : detectCookieData(cookie);
+      const potentialData = detection.dataTypes;
+      // Scored again rather than read from history so edited weights apply
+      const risk = calculateCookieRisk(cookie, potentialData, hostname, undefined, idSyncIndex);
       
-      const permissionKey = `cookie_${cookie.name}_${cookie.domain}`;
+      const permissionKey = getPermissionKey(cookie);
       const permission = permissions[permissionKey] || null;
+      const matchedRule = findRuleForCookie(cookie, potentialData, settings.cookieRules, hostname);
+      const policyDecision = resolvePolicyDecision(permission, potentialData, settings, matchedRule);
       
-      // Get AI explanation (cached if available)
-      const explanation = await getAIExplanation({
-        ...cookie,
-        potentialData: potentialData
-      });
+      // Cached explanations are returned right away; the rest are queued and
+      // reach the popup as EXPLANATION_READY messages
+      const tracker = lookupTracker(cookie);
+      const explanation = getCachedExplanation(cookie, settings.aiProvider);
+      if (!explanation) {
+        enqueueExplanation({ ...cookie, potentialData: potentialData, tracker: tracker }, shouldPersistCookie(cookie));
+      }
       
       analyzedCookies.push({
+        cookieKey: cookieKey,
         name: cookie.name,
         domain: cookie.domain,
         value: cookie.value,
         path: cookie.path,
+        storeId: cookie.storeId,
+        partitionKey: cookie.partitionKey,
+        hostOnly: cookie.hostOnly,
         secure: cookie.secure,
         httpOnly: cookie.httpOnly,
         sameSite: cookie.sameSite,
         expirationDate: cookie.expirationDate,
         potentialData: potentialData,
-        riskLevel: riskLevel,
-        riskScore: riskScore,
+        dataFindings: detection.findings,
+        decodedValue: decodeCookieValue(cookie.value),
+        tracker: tracker,
+        riskLevel: risk.level,
+        riskScore: risk.score,
+        riskFactors: risk.factors,
         permission: permission,
-        status: permission && permission.blocked ? 'blocked' : 'active',
+        policyDecision: policyDecision,
+        networkBlocked: isNetworkBlocked(cookie),
+        status: policyDecision.decision === POLICY_BLOCK ? 'blocked' : 'active',
         firstSeen: historyEntry ? historyEntry.firstSeen : Date.now(),
         lastSeen: historyEntry ? historyEntry.lastSeen : Date.now(),
+        attribution: attributions.get(cookieKey) || null,
+        scriptUrl: historyEntry ? historyEntry.scriptUrl || null : null,
         aiExplanation: explanation
       });
     }
@@ -628,35 +1308,48 @@ async function getAllCookieData() {
     for (const [cookieKey, historyEntry] of cookieHistory.entries()) {
       if (processedCookies.has(cookieKey)) continue;
       
-      const cookieDomain = historyEntry.domain.replace(/^\./, '');
-      if (hostname.includes(cookieDomain) || cookieDomain.includes(hostname)) {
-        const permissionKey = `cookie_${historyEntry.name}_${historyEntry.domain}`;
+      if (isSameSite(historyEntry.domain, hostname) && isSameCookieStore(historyEntry, storeId)) {
+        const permissionKey = getPermissionKey(historyEntry);
         const permission = permissions[permissionKey] || null;
+        const matchedRule = findRuleForCookie(historyEntry, historyEntry.potentialData, settings.cookieRules, hostname);
+        const policyDecision = resolvePolicyDecision(permission, historyEntry.potentialData, settings, matchedRule);
         
-        let riskLevel = 'low';
-        if (historyEntry.riskScore >= 5) riskLevel = 'high';
-        else if (historyEntry.riskScore >= 3) riskLevel = 'medium';
+        const risk = calculateCookieRisk(historyEntry, historyEntry.potentialData, hostname, undefined, idSyncIndex);
         
-        const explanation = await getAIExplanation(historyEntry);
+        const explanation = getCachedExplanation(historyEntry, settings.aiProvider);
+        if (!explanation) {
+          enqueueExplanation(historyEntry, shouldPersistCookie(historyEntry));
+        }
         
         analyzedCookies.push({
+          cookieKey: cookieKey,
           name: historyEntry.name,
           domain: historyEntry.domain,
           value: '[BLOCKED/REMOVED]',
           path: historyEntry.path || '/',
+          storeId: historyEntry.storeId,
+          partitionKey: historyEntry.partitionKey,
+          hostOnly: historyEntry.hostOnly,
           secure: historyEntry.secure || false,
           httpOnly: historyEntry.httpOnly || false,
           sameSite: historyEntry.sameSite || 'unspecified',
           expirationDate: historyEntry.expirationDate,
           potentialData: historyEntry.potentialData || [],
-          riskLevel: riskLevel,
-          riskScore: historyEntry.riskScore || 0,
+          dataFindings: historyEntry.dataFindings || [],
+          tracker: lookupTracker(historyEntry),
+          riskLevel: risk.level,
+          riskScore: risk.score,
+          riskFactors: risk.factors,
           permission: permission,
+          policyDecision: policyDecision,
+          networkBlocked: isNetworkBlocked(historyEntry),
           status: historyEntry.status || 'removed',
           firstSeen: historyEntry.firstSeen,
           lastSeen: historyEntry.lastSeen,
           blockedAt: historyEntry.blockedAt,
           autoBlocked: historyEntry.autoBlocked,
+          attribution: attributions.get(cookieKey) || null,
+          scriptUrl: historyEntry.scriptUrl || null,
           aiExplanation: explanation
         });
       }
@@ -665,7 +1358,12 @@ async function getAllCookieData() {
     return {
       exportDate: new Date().toISOString(),
       website: hostname,
+      storeId: storeId,
+      incognito: isIncognitoStore(storeId),
       cookies: analyzedCookies,
+      ledger: ledger,
+      // Sites sharing an identifier with this one (id-sync.js)
+      idSync: isIncognitoStore(storeId) ? null : buildIdSyncReport(idSyncIndex, hostname),
       permissions: permissions,
       settings: settings,
       stats: cookieStats
@@ -676,38 +1374,229 @@ async function getAllCookieData() {
   }
 }
 
-function detectPotentialData(cookie) {
-  const dataTypes = [];
-  const cookieStr = (cookie.name + '=' + (cookie.value || '')).toLowerCase();
-  
-  const dataPatterns = {
-    'email': ['email', 'mail', '@'],
-    'name': ['name', 'user', 'username', 'fullname', 'firstname', 'lastname'],
-    'location': ['location', 'geo', 'lat', 'long', 'gps', 'address', 'city', 'country', 'zip'],
-    'device_info': ['device', 'os', 'browser', 'platform', 'useragent', 'screen', 'resolution', 'mobile'],
-    'ip_address': ['ip', 'address', 'remoteaddr', 'clientip'],
-    'browsing_behavior': ['behavior', 'click', 'scroll', 'movement', 'activity', 'history', 'visit', 'visitor'],
-    'preferences': ['preference', 'setting', 'config', 'theme', 'language', 'currency', 'pref'],
-    'session_data': ['session', 'login', 'token', 'auth', 'password', 'credential', 'sid'],
-    'marketing_data': ['ad', 'marketing', 'campaign', 'tracking', 'analytics', 'conversion'],
-    'social_media_data': ['social', 'facebook', 'twitter', 'linkedin', 'instagram', 'google', 'youtube'],
-    'shopping_data': ['cart', 'basket', 'purchase', 'product', 'item', 'price'],
-    'demographic_data': ['age', 'gender', 'birth', 'income', 'education', 'demographic']
-  };
+// Every cookie in every cookie store, plus history entries for those no longer
+// there; first/third-party is judged against the page each was last set on
+async function collectDashboardCookies() {
+  if (dashboardSnapshot && Date.now() - dashboardSnapshot.builtAt < DASHBOARD_SNAPSHOT_TTL) {
+    return dashboardSnapshot.records;
+  }
+  
+  const { permissions, settings } = await getPolicyStorage();
+  const idSyncIndex = getIdSyncIndex(cookieHistory);
+  const records = new Map();
+  
+  const stores = await refreshCookieStores();
+  for (const store of stores) {
+    const cookies = await chrome.cookies.getAll({ storeId: store.id });
+    for (const cookie of cookies) {
+      const cookieKey = getCookieKey(cookie);
+      records.set(cookieKey, buildDashboardRecord(cookie, cookieHistory.get(cookieKey), permissions, settings, idSyncIndex));
+    }
+  }
   
-  for (const [dataType, patterns] of Object.entries(dataPatterns)) {
-    if (patterns.some(pattern => cookieStr.includes(pattern))) {
-      dataTypes.push(dataType);
+  for (const [cookieKey, historyEntry] of cookieHistory.entries()) {
+    if (!records.has(cookieKey)) {
+      records.set(cookieKey, buildDashboardRecord(null, historyEntry, permissions, settings, idSyncIndex));
     }
   }
   
-  return [...new Set(dataTypes)];
+  dashboardSnapshot = { builtAt: Date.now(), records: [...records.values()] };
+  return dashboardSnapshot.records;
 }
 
-chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+// cookie is the live cookie, or null when only the history entry is left
+function buildDashboardRecord(cookie, historyEntry, permissions, settings, idSyncIndex) {
+  const source = cookie || historyEntry;
+  const potentialData = (historyEntry && historyEntry.potentialData) || detectPotentialData(source);
+  const pageDomain = (historyEntry && historyEntry.pageDomain) || null;
+  const risk = calculateCookieRisk(source, potentialData, pageDomain, undefined, idSyncIndex);
+  const permission = permissions[getPermissionKey(source)] || null;
+  const matchedRule = findRuleForCookie(source, potentialData, settings.cookieRules, pageDomain);
+  const policyDecision = resolvePolicyDecision(permission, potentialData, settings, matchedRule);
+  const tracker = lookupTracker(source);
+  const isThirdParty = isThirdPartyCookie(source, pageDomain);
+  
+  let status = historyEntry ? historyEntry.status || 'removed' : 'active';
+  if (cookie) {
+    status = policyDecision.decision === POLICY_BLOCK ? 'blocked' : 'active';
+  }
+  
+  return {
+    cookieKey: getCookieKey(source),
+    name: source.name,
+    domain: source.domain,
+    site: getRegistrableDomain(source.domain) || normalizeHostname(source.domain),
+    path: source.path || '/',
+    storeId: source.storeId,
+    incognito: isIncognitoStore(source.storeId),
+    partitionKey: source.partitionKey,
+    hostOnly: source.hostOnly,
+    secure: source.secure || false,
+    httpOnly: source.httpOnly || false,
+    sameSite: source.sameSite || 'unspecified',
+    expirationDate: source.expirationDate,
+    present: Boolean(cookie),
+    status: status,
+    riskLevel: risk.level,
+    riskScore: risk.score,
+    potentialData: potentialData || [],
+    trackerEntity: tracker ? tracker.entity : null,
+    pageDomain: pageDomain,
+    party: isThirdParty === null ? 'unknown' : isThirdParty ? 'third' : 'first',
+    permission: permission ? permission.action : null,
+    firstSeen: historyEntry ? historyEntry.firstSeen : null,
+    lastSeen: historyEntry ? historyEntry.lastSeen : null
+  };
+}
+
+// message: { filters, sort, offset, limit } (dashboard-queries.js)
+async function queryDashboardCookies(message) {
+  try {
+    const records = await collectDashboardCookies();
+    const filtered = filterDashboardCookies(records, message.filters);
+    const sorted = sortDashboardItems(filtered, message.sort, DASHBOARD_COOKIE_SORT_KEYS, 'riskScore', 'cookieKey');
+    const page = pageDashboardItems(sorted, message.offset, message.limit);
+    return {
+      cookies: page.items,
+      total: page.total,
+      offset: page.offset,
+      limit: page.limit,
+      dataTypes: listDashboardDataTypes(records)
+    };
+  } catch (error) {
+    console.error('Error querying cookies:', error);
+    return { cookies: [], total: 0, offset: 0, limit: DASHBOARD_PAGE_SIZE, dataTypes: [], error: error.message };
+  }
+}
+
+// The same filters as QUERY_COOKIES, aggregated per site
+async function getDashboardSiteSummaries(message) {
+  try {
+    const records = await collectDashboardCookies();
+    const summaries = summarizeDashboardSites(filterDashboardCookies(records, message.filters));
+    const sorted = sortDashboardItems(summaries, message.sort, DASHBOARD_SITE_SORT_KEYS, 'cookies', 'site');
+    const page = pageDashboardItems(sorted, message.offset, message.limit);
+    return { sites: page.items, total: page.total, offset: page.offset, limit: page.limit };
+  } catch (error) {
+    console.error('Error summarizing sites:', error);
+    return { sites: [], total: 0, offset: 0, limit: DASHBOARD_PAGE_SIZE, error: error.message };
+  }
+}
+
+// action: 'block' or 'allow' saves a permission for each cookie, 'delete'
+// removes the cookie from the browser and forgets its history
+async function handleBulkCookieAction(cookieKeys, action) {
+  try {
+    const records = await collectDashboardCookies();
+    const wanted = new Set(cookieKeys || []);
+    const selected = records.filter(record => wanted.has(record.cookieKey));
+    
+    if (action === 'block' || action === 'allow') {
+      await applyCookiePermissions(selected.map(record => ({
+        cookie: record,
+        allowedDataTypes: action === 'allow' ? record.potentialData : []
+      })), action);
+    } else if (action === 'delete') {
+      for (const record of selected) {
+        if (record.present) {
+          await chrome.cookies.remove(getCookieRemovalDetails(record)).catch(error => {
+            console.error('Error removing cookie:', error);
+          });
+        }
+        // Removing it fires cookies.onChanged, which marks the entry removed
+        // rather than deleting it, so the history goes after
+        cookieHistory.delete(record.cookieKey);
+        if (shouldPersistCookie(record)) {
+          queueHistoryDelete(record.cookieKey);
+        }
+      }
+      saveSessionState();
+    } else {
+      return { success: false, error: `Unknown action: ${action}` };
+    }
+    
+    console.log(`Bulk ${action}:`, selected.length, 'cookies');
+    dashboardSnapshot = null;
+    
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tabs.length > 0 && tabs[0].url) {
+      await updateCookieStats(tabs[0].url, await getCookieStoreIdForTab(tabs[0]), tabs[0].id);
+    }
+    return { success: true, count: selected.length };
+  } catch (error) {
+    console.error(`Error applying bulk ${action}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// For the DevTools panel: cookies parsed from Set-Cookie headers
+// (parseSetCookieHeader()) of a tab's requests, matched to their history
+// entries and scored. Unmatched ones, not stored yet or rejected by the
+// browser, are scored from the header alone.
+async function lookupSetCookies(tabId, setCookies) {
+  try {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    const pageDomain = tab && tab.url ? getUrlHostname(tab.url) || null : null;
+    const storeId = await getCookieStoreIdForTab(tab || tabId);
+    const { permissions } = await getPolicyStorage();
+    const idSyncIndex = getIdSyncIndex(cookieHistory);
+    
+    const results = (setCookies || []).map(setCookie => {
+      const historyEntry = findHistoryEntryForSetCookie(setCookie, storeId);
+      const cookie = historyEntry || { ...setCookie, storeId: storeId };
+      const potentialData = historyEntry ? historyEntry.potentialData || [] : detectPotentialData(cookie);
+      const risk = calculateCookieRisk(cookie, potentialData, (historyEntry && historyEntry.pageDomain) || pageDomain, undefined, idSyncIndex);
+      const permission = permissions[getPermissionKey(cookie)] || null;
+      
+      return {
+        matched: Boolean(historyEntry),
+        cookie: {
+          name: cookie.name,
+          domain: cookie.domain,
+          path: cookie.path || '/',
+          storeId: cookie.storeId || storeId,
+          partitionKey: cookie.partitionKey,
+          hostOnly: cookie.hostOnly,
+          secure: cookie.secure || false,
+          potentialData: potentialData
+        },
+        cookieKey: getCookieKey(cookie),
+        status: historyEntry ? historyEntry.status || 'active' : null,
+        permission: permission ? permission.action : null,
+        tracker: lookupTracker(cookie),
+        riskScore: risk.score,
+        riskLevel: risk.level,
+        riskFactors: risk.factors
+      };
+    });
+    return { results: results };
+  } catch (error) {
+    console.error('Error looking up Set-Cookie headers:', error);
+    return { results: [], error: error.message };
+  }
+}
+
+// The most recently seen history entry with the header's name, domain and
+// path; the partition key isn't in the header, so any partition matches
+function findHistoryEntryForSetCookie(setCookie, storeId) {
+  const domain = normalizeHostname(setCookie.domain);
+  let found = null;
+  for (const entry of cookieHistory.values()) {
+    if (entry.name !== setCookie.name || normalizeHostname(entry.domain) !== domain) continue;
+    if (!isSameCookieStore(entry, storeId) || (entry.path || '/') !== setCookie.path) continue;
+    if (!found || (entry.lastSeen || 0) > (found.lastSeen || 0)) {
+      found = entry;
+    }
+  }
+  return found;
+}
+
+// The session state may be from another tab; start from the one in front now
+runWhenBackgroundStarts(async () => {
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
   if (tabs.length > 0 && tabs[0].url && tabs[0].url.startsWith('http')) {
-    activeTabDomain = new URL(tabs[0].url).hostname;
+    setActiveTabDomain(new URL(tabs[0].url).hostname);
     console.log('Initial active domain:', activeTabDomain);
-    await updateCookieStats(tabs[0].url);
+    await updateCookieStats(tabs[0].url, await getCookieStoreIdForTab(tabs[0]), tabs[0].id);
   }
 });
@@ -6,12 +6,32 @@ let suspiciousCookies = [];
 // Listen for messages from background script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'SUSPICIOUS_COOKIE') {
-    handleSuspiciousCookie(message.cookie, message.riskScore);
+    handleSuspiciousCookie(message.cookie, message.riskScore, message.riskLevel, message.policyDecision);
+  } else if (message.type === 'FIND_STORAGE_VALUES') {
+    sendResponse({ keys: findStorageValues(message.values || []) });
   }
   return true;
 });
 
-function handleSuspiciousCookie(cookie, riskScore) {
+// localStorage keys whose value contains one of the given cookie values, so
+// the background can tell a respawned cookie was restored from a stored copy
+function findStorageValues(values) {
+  const keys = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      const stored = localStorage.getItem(key) || '';
+      if (values.some(value => stored.includes(value))) {
+        keys.push(key);
+      }
+    }
+  } catch (error) {
+    // Storage is disabled for this page
+  }
+  return keys;
+}
+
+function handleSuspiciousCookie(cookie, riskScore, riskLevel, policyDecision) {
   // Check if we already have this cookie
   const existingIndex = suspiciousCookies.findIndex(
     c => c.name === cookie.name && c.domain === cookie.domain
@@ -20,12 +40,16 @@ function handleSuspiciousCookie(cookie, riskScore) {
   if (existingIndex === -1) {
     const analyzedCookie = analyzeCookieData(cookie);
     analyzedCookie.riskScore = riskScore;
+    // Levels come from the background risk model so they match the popup
+    analyzedCookie.riskLevel = riskLevel || 'low';
     analyzedCookie.timestamp = new Date().toISOString();
+    analyzedCookie.flagged = Boolean(policyDecision && policyDecision.decision === 'flag');
+    analyzedCookie.policyReason = policyDecision ? policyDecision.reason : null;
     
     suspiciousCookies.push(analyzedCookie);
     
-    // Only show warning for medium/high risk cookies
-    if (riskScore >= 2) {
+    // Only show warning for medium/high risk or policy-flagged cookies
+    if (analyzedCookie.riskLevel !== 'low' || analyzedCookie.flagged) {
       showCookieWarning(analyzedCookie);
     }
     
@@ -35,51 +59,11 @@ function handleSuspiciousCookie(cookie, riskScore) {
 
 function analyzeCookieData(cookie) {
   const potentialData = detectPotentialData(cookie);
-  const riskLevel = getRiskLevel(potentialData.length, cookie);
   
   return {
     ...cookie,
-    potentialData: potentialData,
-    riskLevel: riskLevel
-  };
-}
-
-function detectPotentialData(cookie) {
-  const dataTypes = [];
-  const cookieStr = (cookie.name + '=' + cookie.value).toLowerCase();
-  
-  // Data type patterns
-  const dataPatterns = {
-    'email': ['email', 'mail', '@'],
-    'name': ['name', 'user', 'username', 'fullname', 'firstname', 'lastname'],
-    'location': ['location', 'geo', 'lat', 'long', 'gps', 'address', 'city', 'country', 'zip'],
-    'device_info': ['device', 'os', 'browser', 'platform', 'useragent', 'screen', 'resolution', 'mobile'],
-    'ip_address': ['ip', 'address', 'remoteaddr', 'clientip'],
-    'browsing_behavior': ['behavior', 'click', 'scroll', 'movement', 'activity', 'history', 'visit'],
-    'preferences': ['preference', 'setting', 'config', 'theme', 'language', 'currency'],
-    'session_data': ['session', 'login', 'token', 'auth', 'password', 'credential'],
-    'marketing_data': ['ad', 'marketing', 'campaign', 'tracking', 'analytics', 'conversion'],
-    'social_media_data': ['social', 'facebook', 'twitter', 'linkedin', 'instagram', 'google', 'youtube'],
-    'shopping_data': ['cart', 'basket', 'purchase', 'product', 'item', 'price'],
-    'demographic_data': ['age', 'gender', 'birth', 'income', 'education']
+    potentialData: potentialData
   };
-  
-  for (const [dataType, patterns] of Object.entries(dataPatterns)) {
-    if (patterns.some(pattern => cookieStr.includes(pattern))) {
-      dataTypes.push(dataType);
-    }
-  }
-  
-  return [...new Set(dataTypes)]; // Remove duplicates
-}
-
-function getRiskLevel(dataTypesCount, cookie) {
-  if (dataTypesCount >= 3) {
-    return 'high';
-  } else if (dataTypesCount >= 1) {
-    return 'medium';
-  }
-  return 'low';
 }
 
 function showCookieWarning(cookie) {
@@ -115,21 +99,22 @@ function showCookieWarning(cookie) {
   
   notification.innerHTML = `
     <div style="font-weight: bold; margin-bottom: 8px; display: flex; align-items: center; gap: 8px;">
-      <span style="color: ${riskColors[cookie.riskLevel]}; font-size: 16px;">⚠️</span>
-      Suspicious Cookie Detected
+      <span style="color: ${riskColors[cookie.riskLevel] || riskColors.low}; font-size: 16px;">⚠️</span>
+      ${cookie.flagged ? 'Flagged Cookie Detected' : 'Suspicious Cookie Detected'}
     </div>
     <div style="font-size: 12px; margin-bottom: 10px; line-height: 1.4;">
-      <strong style="color: #333;">${cookie.name}</strong> may be collecting: 
+      <strong style="color: #333;">${escapeHtml(cookie.name)}</strong> may be collecting: 
       <br>
-      <span style="color: #666;">${cookie.potentialData.join(', ') || 'Various data types'}</span>
+      <span style="color: #666;">${escapeHtml(cookie.potentialData.join(', ')) || 'Various data types'}</span>
+      ${cookie.flagged ? `<br><span style="color: #856404;">🚩 ${escapeHtml(cookie.policyReason)}</span>` : ''}
       <br><br>
       <div style="display: flex; justify-content: space-between; align-items: center;">
         <span>Risk Level: 
-          <strong style="color: ${riskColors[cookie.riskLevel]}">
-            ${cookie.riskLevel.toUpperCase()}
+          <strong style="color: ${riskColors[cookie.riskLevel] || riskColors.low}">
+            ${escapeHtml(cookie.riskLevel.toUpperCase())}
           </strong>
         </span>
-        <span style="font-size: 10px; color: #999;">Domain: ${cookie.domain}</span>
+        <span style="font-size: 10px; color: #999;">Domain: ${escapeHtml(cookie.domain)}</span>
       </div>
     </div>
     <div style="display: flex; gap: 8px;">
@@ -0,0 +1,223 @@
+// Cookie value decoding pipeline
+// Tracking cookies often hide their payload behind URL-encoding, Base64,
+// JWTs or JSON. decodeCookieValue() peels those layers recursively and
+// returns a tree, so risk scoring and data detection can look at the fields
+// themselves and the popup can show the structure.
+// Loaded by the background service worker (importScripts), the content script
+// and the popup.
+
+const DECODE_MAX_DEPTH = 6;
+const DECODE_MAX_LENGTH = 8192;
+const DECODE_MIN_BASE64_LENGTH = 12;
+
+// Node shape:
+//   { encoding, path, text, children, key?, data?, header?, claims? }
+// encoding is one of: raw, url, base64, base64url, jwt, json, params, field
+
+function tryUrlDecode(text) {
+  if (!/%[0-9A-Fa-f]{2}/.test(text)) return null;
+  try {
+    const decoded = decodeURIComponent(text);
+    return decoded !== text ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function decodeBase64Text(text, isUrlSafe) {
+  let normalized = isUrlSafe ? text.replace(/-/g, '+').replace(/_/g, '/') : text;
+  while (normalized.length % 4 !== 0) normalized += '=';
+
+  const binary = atob(normalized);
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  // fatal: reject anything that isn't valid UTF-8 instead of producing U+FFFD
+  return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+}
+
+function isMostlyPrintable(text) {
+  if (!text) return false;
+  const printable = text.replace(/[\x00-\x08\x0E-\x1F\x7F]/g, '');
+  return printable.length / text.length >= 0.95;
+}
+
+function tryBase64Decode(text) {
+  if (text.length < DECODE_MIN_BASE64_LENGTH) return null;
+
+  let variant = null;
+  if (/^[A-Za-z0-9+/]+={0,2}$/.test(text)) variant = 'base64';
+  else if (/^[A-Za-z0-9_-]+={0,2}$/.test(text)) variant = 'base64url';
+  if (!variant || text.replace(/=+$/, '').length % 4 === 1) return null;
+
+  // Plain hex and digit strings are valid Base64 alphabets but are identifiers
+  if (/^[0-9A-Fa-f]+$/.test(text)) return null;
+
+  try {
+    const decoded = decodeBase64Text(text.replace(/=+$/, ''), variant === 'base64url');
+    return isMostlyPrintable(decoded) ? { variant: variant, text: decoded } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function tryParseJson(text) {
+  if (!/^[[{]/.test(text)) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function tryDecodeJwt(text) {
+  const match = text.match(/^([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]*)$/);
+  if (!match) return null;
+  try {
+    const header = JSON.parse(decodeBase64Text(match[1], true));
+    const claims = JSON.parse(decodeBase64Text(match[2], true));
+    if (!header || typeof header !== 'object' || !header.alg) return null;
+    return { header: header, claims: claims };
+  } catch (error) {
+    return null;
+  }
+}
+
+// `a=1&b=2` style values, as used by many analytics cookies
+function tryParseParams(text) {
+  if (!/^[^=&]+=[^&]*(&[^=&]+=[^&]*)+$/.test(text)) return null;
+  return text.split('&').map(pair => {
+    const index = pair.indexOf('=');
+    return [pair.substring(0, index), pair.substring(index + 1)];
+  });
+}
+
+function makeFieldNode(key, text, path, depth) {
+  return {
+    encoding: 'field',
+    key: key,
+    path: path,
+    text: text,
+    children: decodeLayers(text, path, depth + 1)
+  };
+}
+
+// String leaves inside JSON can be encoded again (Base64 inside JSON inside a JWT)
+function makeJsonNode(data, text, path, depth) {
+  const children = [];
+  forEachJsonLeaf(data, path, (leafPath, key, value) => {
+    if (typeof value === 'string') {
+      const nested = decodeLayers(value, leafPath, depth + 1);
+      if (nested.length > 0) {
+        children.push({ encoding: 'field', key: key, path: leafPath, text: value, children: nested });
+      }
+    }
+  });
+  return { encoding: 'json', path: path, text: text, data: data, children: children };
+}
+
+function makeJwtNode(jwt, text, path, depth) {
+  return {
+    encoding: 'jwt',
+    path: path,
+    text: text,
+    header: jwt.header,
+    claims: jwt.claims,
+    children: [
+      makeJsonNode(jwt.header, JSON.stringify(jwt.header), `${path}.header`, depth + 1),
+      makeJsonNode(jwt.claims, JSON.stringify(jwt.claims), `${path}.claims`, depth + 1)
+    ]
+  };
+}
+
+function decodeLayers(text, path, depth) {
+  if (depth >= DECODE_MAX_DEPTH || !text) return [];
+  const trimmed = text.trim();
+
+  const jwt = tryDecodeJwt(trimmed);
+  if (jwt) return [makeJwtNode(jwt, trimmed, path, depth)];
+
+  const json = tryParseJson(trimmed);
+  if (json !== undefined && json !== null && typeof json === 'object') {
+    return [makeJsonNode(json, trimmed, path, depth)];
+  }
+
+  const urlDecoded = tryUrlDecode(trimmed);
+  if (urlDecoded !== null) {
+    return [{ encoding: 'url', path: path, text: urlDecoded, children: decodeLayers(urlDecoded, path, depth + 1) }];
+  }
+
+  const base64 = tryBase64Decode(trimmed);
+  if (base64) {
+    return [{ encoding: base64.variant, path: path, text: base64.text, children: decodeLayers(base64.text, path, depth + 1) }];
+  }
+
+  const params = tryParseParams(trimmed);
+  if (params) {
+    return [{
+      encoding: 'params',
+      path: path,
+      text: trimmed,
+      children: params.map(([key, value]) => makeFieldNode(key, value, `${path}.${key}`, depth))
+    }];
+  }
+
+  return [];
+}
+
+function forEachJsonLeaf(data, path, callback) {
+  if (Array.isArray(data)) {
+    data.forEach((item, index) => forEachJsonLeaf(item, `${path}[${index}]`, callback));
+  } else if (data && typeof data === 'object') {
+    for (const [key, value] of Object.entries(data)) {
+      if (value && typeof value === 'object') {
+        forEachJsonLeaf(value, `${path}.${key}`, callback);
+      } else {
+        callback(`${path}.${key}`, key, value);
+      }
+    }
+  }
+}
+
+function decodeCookieValue(value) {
+  const text = (value || '').substring(0, DECODE_MAX_LENGTH);
+  return {
+    encoding: 'raw',
+    path: 'value',
+    text: text,
+    children: decodeLayers(text, 'value', 0)
+  };
+}
+
+// Every string the detectors should look at: the innermost layer's text, or for
+// JSON the leaves with the key they were stored under. Outer layers are covered
+// by their decoded children.
+function collectDecodedStrings(node, strings = []) {
+  const hasChildren = node.children && node.children.length > 0;
+  if (!hasChildren && node.encoding !== 'json' && node.encoding !== 'jwt') {
+    strings.push({ path: node.path, key: node.key || null, text: node.text });
+  }
+
+  if (node.encoding === 'json') {
+    forEachJsonLeaf(node.data, node.path, (leafPath, key, value) => {
+      if (value !== null && value !== undefined) {
+        strings.push({ path: leafPath, key: key, text: String(value) });
+      }
+    });
+  }
+
+  for (const child of node.children || []) {
+    collectDecodedStrings(child, strings);
+  }
+  return strings;
+}
+
+// e.g. "base64 → jwt", for labelling the decoded view
+function describeDecodingChain(node) {
+  const chain = [];
+  let current = node;
+  while (current.children && current.children.length === 1 && current.encoding !== 'jwt') {
+    current = current.children[0];
+    if (current.encoding === 'field') break;
+    chain.push(current.encoding);
+  }
+  return chain.join(' → ');
+}
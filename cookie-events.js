@@ -0,0 +1,118 @@
+// Cookie event stream
+// The background records what happens to cookies as events (set, changed,
+// removed, blocked, respawned) and streams them to the side panel
+// (sidepanel.html) over long-lived ports named COOKIE_EVENTS_PORT. A port that
+// connects is sent the recent events first, so a panel opened mid-session or
+// reconnecting after a service-worker restart starts with the timeline so far;
+// they are mirrored to chrome.storage.session for that. A panel first says
+// whether its window is private (COOKIE_EVENT_SUBSCRIBE), and is only sent the
+// events of its own kind of cookie store, so private-window cookies never
+// show up in a regular window's panel, even with "all tabs" checked.
+// Loaded by the background service worker (importScripts), after
+// cookie-stores.js and tab-attribution.js.
+
+const COOKIE_EVENTS_PORT = 'cookie-events';
+const COOKIE_EVENTS_SESSION_KEY = 'cookieEvents';
+const COOKIE_EVENTS_SAVE_DELAY = 500;
+const COOKIE_EVENTS_MAX = 500;
+
+const COOKIE_EVENT_SET = 'set';
+const COOKIE_EVENT_CHANGED = 'changed';
+const COOKIE_EVENT_REMOVED = 'removed';
+const COOKIE_EVENT_BLOCKED = 'blocked';
+const COOKIE_EVENT_RESPAWNED = 'respawned';
+
+let recentCookieEvents = [];
+// Seeded with the time so ids keep rising across service-worker restarts
+let nextCookieEventId = Date.now();
+// port -> { incognito } once the panel has subscribed
+let cookieEventPorts = new Map();
+let cookieEventsSaveTimer = null;
+
+const cookieEventsReady = restoreCookieEvents();
+
+async function restoreCookieEvents() {
+  try {
+    const stored = await chrome.storage.session.get([COOKIE_EVENTS_SESSION_KEY]);
+    // Events recorded while this was loading are newer
+    recentCookieEvents = [...(stored[COOKIE_EVENTS_SESSION_KEY] || []), ...recentCookieEvents].slice(-COOKIE_EVENTS_MAX);
+  } catch (error) {
+    console.error('Error restoring cookie events:', error);
+  }
+}
+
+function saveCookieEvents() {
+  clearTimeout(cookieEventsSaveTimer);
+  cookieEventsSaveTimer = setTimeout(() => {
+    chrome.storage.session.set({ [COOKIE_EVENTS_SESSION_KEY]: recentCookieEvents }).catch(error => {
+      console.error('Error saving cookie events:', error);
+    });
+  }, COOKIE_EVENTS_SAVE_DELAY);
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== COOKIE_EVENTS_PORT) return;
+
+  port.onMessage.addListener((message) => {
+    if (message.type !== 'COOKIE_EVENT_SUBSCRIBE') return;
+    const subscription = { incognito: Boolean(message.incognito) };
+    cookieEventPorts.set(port, subscription);
+
+    cookieEventsReady.then(() => {
+      if (cookieEventPorts.has(port)) {
+        const events = recentCookieEvents.filter(event => isEventForSubscription(event, subscription));
+        port.postMessage({ type: 'COOKIE_EVENT_BACKLOG', events: events });
+      }
+    });
+  });
+  port.onDisconnect.addListener(() => {
+    cookieEventPorts.delete(port);
+  });
+});
+
+// Events restored from before `incognito` was recorded go by their store
+function isEventForSubscription(event, subscription) {
+  const incognito = event.incognito !== undefined ? event.incognito : isIncognitoStore(event.storeId);
+  return incognito === subscription.incognito;
+}
+
+// details: { type, cookie, tabId, risk, attribution, reason }; all but type
+// and cookie are optional
+function recordCookieEvent(details) {
+  const { cookie, attribution, risk } = details;
+  const event = {
+    id: nextCookieEventId++,
+    type: details.type,
+    time: Date.now(),
+    tabId: details.tabId === undefined ? null : details.tabId,
+    cookieKey: getCookieKey(cookie),
+    name: cookie.name,
+    domain: cookie.domain,
+    storeId: cookie.storeId || DEFAULT_COOKIE_STORE_ID,
+    incognito: isIncognitoStore(cookie.storeId),
+    riskLevel: risk ? risk.level : null,
+    riskScore: risk ? risk.score : null,
+    setBy: attribution ? attribution.setBy : null,
+    frameUrl: attribution ? attribution.frameUrl : null,
+    requestUrl: attribution ? attribution.requestUrl : null,
+    scriptUrl: attribution ? attribution.scriptUrl || null : null,
+    thirdParty: attribution ? attribution.thirdParty : null,
+    reason: details.reason || null
+  };
+
+  recentCookieEvents.push(event);
+  if (recentCookieEvents.length > COOKIE_EVENTS_MAX) {
+    recentCookieEvents.splice(0, recentCookieEvents.length - COOKIE_EVENTS_MAX);
+  }
+  saveCookieEvents();
+
+  for (const [port, subscription] of cookieEventPorts) {
+    if (!isEventForSubscription(event, subscription)) continue;
+    try {
+      port.postMessage({ type: 'COOKIE_EVENT', event: event });
+    } catch (error) {
+      // Disconnected; onDisconnect removes it
+    }
+  }
+  return event;
+}
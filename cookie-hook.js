@@ -0,0 +1,69 @@
+// Cookie write hook (page main world)
+// Runs in the page's own JavaScript world at document_start, ahead of page
+// scripts, and wraps the document.cookie setter and CookieStore set/delete.
+// Each write is announced as a COOKIE_WRITE_EVENT on window with the URL of
+// the script that made it, read from the call stack, before the write goes
+// through; cookie-write-relay.js forwards it to the background. Page scripts
+// can forge these events, so they only ever explain where a cookie came from.
+// Loaded as a "world": "MAIN" content script in every frame (manifest.json).
+
+(function() {
+  const COOKIE_WRITE_EVENT = 'cookie-privacy-guard:cookie-write';
+  const STACK_FRAMES_REPORTED = 5;
+
+  const cookieDescriptor = Object.getOwnPropertyDescriptor(Document.prototype, 'cookie');
+  if (!cookieDescriptor || !cookieDescriptor.set) return;
+
+  // The first line is the error message and this hook's own frames have an
+  // extension URL, so the first http(s) frame is the calling script; inline
+  // scripts report the page's URL
+  function getStackUrls(stack) {
+    return (stack || '').split('\n').slice(1)
+      .map(line => {
+        const match = line.match(/(https?:\/\/[^\s()]+?):\d+:\d+/);
+        return match ? match[1] : null;
+      })
+      .filter(Boolean);
+  }
+
+  function reportWrite(api, name, stack) {
+    try {
+      const stackUrls = getStackUrls(stack);
+      window.dispatchEvent(new CustomEvent(COOKIE_WRITE_EVENT, {
+        detail: JSON.stringify({
+          api: api,
+          name: String(name || '').trim(),
+          scriptUrl: stackUrls[0] || null,
+          stack: stackUrls.slice(0, STACK_FRAMES_REPORTED),
+          time: Date.now()
+        })
+      }));
+    } catch (error) {
+      // Never let reporting break the page's own write
+    }
+  }
+
+  Object.defineProperty(Document.prototype, 'cookie', {
+    configurable: true,
+    enumerable: cookieDescriptor.enumerable,
+    get: cookieDescriptor.get,
+    set: function(value) {
+      reportWrite('document.cookie', String(value).split(';')[0].split('=')[0], new Error().stack);
+      return cookieDescriptor.set.call(this, value);
+    }
+  });
+
+  if (typeof CookieStore === 'undefined') return;
+
+  // set(name, value) or set({ name, value, ... }); delete(name) or delete({ name, ... })
+  ['set', 'delete'].forEach(method => {
+    const original = CookieStore.prototype[method];
+    if (typeof original !== 'function') return;
+
+    CookieStore.prototype[method] = function(nameOrOptions) {
+      const name = nameOrOptions && typeof nameOrOptions === 'object' ? nameOrOptions.name : nameOrOptions;
+      reportWrite(`cookieStore.${method}`, name, new Error().stack);
+      return original.apply(this, arguments);
+    };
+  });
+})();
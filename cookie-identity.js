@@ -0,0 +1,134 @@
+// Canonical cookie identity
+// The browser tells cookies apart by name, domain and path, and keeps separate
+// jars per cookie store (incognito) and per top-level site for partitioned
+// (CHIPS) cookies. getCookieKey() covers all five, so two `id` cookies on
+// different paths or in different stores never share a history entry or a
+// permission, and getCookieRemovalDetails() removes exactly the cookie it
+// was given.
+// Loaded by the background service worker (importScripts), by the popup and
+// by the DevTools panel.
+
+const DEFAULT_COOKIE_STORE_ID = '0';
+const PERMISSION_KEY_PREFIX = 'cookie_';
+
+function serializePartitionKey(partitionKey) {
+  if (!partitionKey || !partitionKey.topLevelSite) return '';
+  return partitionKey.hasCrossSiteAncestor ? `${partitionKey.topLevelSite}#cross-site` : partitionKey.topLevelSite;
+}
+
+function getCookieIdentity(cookie) {
+  return {
+    name: cookie.name,
+    domain: (cookie.domain || '').toLowerCase(),
+    path: cookie.path || '/',
+    storeId: cookie.storeId || DEFAULT_COOKIE_STORE_ID,
+    partitionKey: serializePartitionKey(cookie.partitionKey)
+  };
+}
+
+// Each part is URI-encoded so the `|` separator can't appear inside one
+function getCookieKey(cookie) {
+  const identity = getCookieIdentity(cookie);
+  return [identity.name, identity.domain, identity.path, identity.storeId, identity.partitionKey]
+    .map(part => encodeURIComponent(part))
+    .join('|');
+}
+
+// The name, domain, path and store a key was made from; the partition key is
+// only kept serialized, so it is left to comparing keys
+function parseCookieKey(cookieKey) {
+  const [name, domain, path, storeId] = cookieKey.split('|').map(part => decodeURIComponent(part));
+  return { name: name, domain: domain, path: path, storeId: storeId };
+}
+
+// Explanations describe a cookie by name and domain, so one is shared by the
+// same cookie on every path and in every store. The popup matches the
+// EXPLANATION_READY messages of explanation-queue.js to its cards by it.
+function getExplanationKey(cookie) {
+  return `${cookie.name}_${cookie.domain}`;
+}
+
+function getPermissionKey(cookie) {
+  return PERMISSION_KEY_PREFIX + getCookieKey(cookie);
+}
+
+function getCookieUrl(cookie) {
+  const protocol = cookie.secure ? 'https:' : 'http:';
+  const domain = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
+  return `${protocol}//${domain}${cookie.path || '/'}`;
+}
+
+// Details for chrome.cookies.get() and chrome.cookies.remove()
+function getCookieRemovalDetails(cookie) {
+  const details = {
+    url: getCookieUrl(cookie),
+    name: cookie.name
+  };
+  if (cookie.storeId) {
+    details.storeId = cookie.storeId;
+  }
+  if (cookie.partitionKey && cookie.partitionKey.topLevelSite) {
+    details.partitionKey = cookie.partitionKey;
+  }
+  return details;
+}
+
+// The cookie one Set-Cookie line would create, with the browser's defaults:
+// without a Domain attribute it is host-only for the request host, without a
+// Path it gets the directory of the request path
+function parseSetCookieHeader(line, requestUrl) {
+  const [pair, ...attributes] = line.split(';');
+  const separator = pair.indexOf('=');
+  const url = new URL(requestUrl);
+  const cookie = {
+    name: separator >= 0 ? pair.substring(0, separator).trim() : '',
+    value: separator >= 0 ? pair.substring(separator + 1).trim() : pair.trim(),
+    domain: url.hostname.toLowerCase(),
+    hostOnly: true,
+    path: url.pathname.lastIndexOf('/') > 0 ? url.pathname.substring(0, url.pathname.lastIndexOf('/')) : '/',
+    secure: false,
+    httpOnly: false,
+    sameSite: 'unspecified',
+    partitioned: false
+  };
+
+  for (const attribute of attributes) {
+    const [rawKey, ...rawValue] = attribute.split('=');
+    const key = rawKey.trim().toLowerCase();
+    const value = rawValue.join('=').trim();
+
+    if (key === 'domain' && value) {
+      cookie.domain = '.' + value.replace(/^\./, '').toLowerCase();
+      cookie.hostOnly = false;
+    } else if (key === 'path' && value.startsWith('/')) {
+      cookie.path = value;
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'httponly') {
+      cookie.httpOnly = true;
+    } else if (key === 'samesite' && value) {
+      cookie.sameSite = value.toLowerCase() === 'none' ? 'no_restriction' : value.toLowerCase();
+    } else if (key === 'partitioned') {
+      cookie.partitioned = true;
+    }
+  }
+  return cookie;
+}
+
+// Fields stored on permissions so they can be matched back to their cookie
+function getPermissionIdentityFields(cookie) {
+  return {
+    cookieKey: getCookieKey(cookie),
+    cookieName: cookie.name,
+    cookieDomain: cookie.domain,
+    cookiePath: cookie.path || '/',
+    storeId: cookie.storeId || DEFAULT_COOKIE_STORE_ID,
+    partitionKey: cookie.partitionKey || null
+  };
+}
+
+// Keys written before cookie identities existed were `${name}_${domain}` and
+// their permissions carry no cookieKey
+function isLegacyPermission(key, value) {
+  return key.startsWith(PERMISSION_KEY_PREFIX) && value && typeof value === 'object' && !value.cookieKey;
+}
@@ -0,0 +1,70 @@
+// Cookie stores (regular profile and incognito)
+// Chrome keeps a separate cookie jar per store; every tab belongs to exactly
+// one. Lookups for a tab have to pass that tab's storeId to chrome.cookies,
+// otherwise an incognito tab is shown the regular profile's cookies.
+// Requires "incognito": "spanning" so one service worker sees both.
+// Loaded by the background service worker (importScripts), after
+// cookie-identity.js.
+
+// storeId -> { id, incognito, tabIds }
+let cookieStores = new Map();
+
+async function refreshCookieStores() {
+  try {
+    const stores = await chrome.cookies.getAllCookieStores();
+    const refreshed = new Map();
+
+    for (const store of stores) {
+      let incognito = store.id !== DEFAULT_COOKIE_STORE_ID;
+      if (store.tabIds.length > 0) {
+        const tab = await chrome.tabs.get(store.tabIds[0]).catch(() => null);
+        if (tab) incognito = tab.incognito;
+      }
+      refreshed.set(store.id, { id: store.id, incognito: incognito, tabIds: store.tabIds });
+    }
+
+    cookieStores = refreshed;
+  } catch (error) {
+    console.error('Error listing cookie stores:', error);
+  }
+  return [...cookieStores.values()];
+}
+
+// Accepts a tab or a tab id
+async function getCookieStoreIdForTab(tab) {
+  const tabId = typeof tab === 'object' ? tab.id : tab;
+
+  for (const store of cookieStores.values()) {
+    if (store.tabIds.includes(tabId)) return store.id;
+  }
+
+  // New tab or window since the last refresh
+  const stores = await refreshCookieStores();
+  const store = stores.find(s => s.tabIds.includes(tabId));
+  if (store) return store.id;
+
+  const incognito = typeof tab === 'object' && tab.incognito;
+  const fallback = stores.find(s => s.incognito === Boolean(incognito));
+  return fallback ? fallback.id : DEFAULT_COOKIE_STORE_ID;
+}
+
+// Stores only known from a cookie event (no tab open yet) are treated as
+// private unless they are the default store
+function isIncognitoStore(storeId) {
+  const id = storeId || DEFAULT_COOKIE_STORE_ID;
+  const store = cookieStores.get(id);
+  return store ? store.incognito : id !== DEFAULT_COOKIE_STORE_ID;
+}
+
+function isSameCookieStore(cookie, storeId) {
+  return (cookie.storeId || DEFAULT_COOKIE_STORE_ID) === (storeId || DEFAULT_COOKIE_STORE_ID);
+}
+
+// False only when the tab is known to belong to another store
+function isTabInCookieStore(tabId, storeId) {
+  const id = storeId || DEFAULT_COOKIE_STORE_ID;
+  for (const store of cookieStores.values()) {
+    if (store.tabIds.includes(tabId)) return store.id === id;
+  }
+  return true;
+}
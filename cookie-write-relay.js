@@ -0,0 +1,29 @@
+// Forwards the cookie writes announced by cookie-hook.js in the page's main
+// world to the background, which uses them in tab-attribution.js. The
+// background takes the tab, frame and frame URL from the sender rather than
+// from the page.
+// Loaded as a content script at document_start in every frame (manifest.json).
+
+const COOKIE_WRITE_EVENT = 'cookie-privacy-guard:cookie-write';
+
+window.addEventListener(COOKIE_WRITE_EVENT, (event) => {
+  let write;
+  try {
+    write = JSON.parse(event.detail);
+  } catch (error) {
+    return;
+  }
+  if (!write || typeof write.name !== 'string' || !write.name) return;
+
+  chrome.runtime.sendMessage({
+    type: 'COOKIE_WRITE',
+    write: {
+      api: String(write.api || ''),
+      name: write.name,
+      scriptUrl: typeof write.scriptUrl === 'string' ? write.scriptUrl : null,
+      stack: Array.isArray(write.stack) ? write.stack.filter(url => typeof url === 'string') : []
+    }
+  }).catch(() => {
+    // The extension was reloaded; this frame's scripts are orphaned
+  });
+});
@@ -0,0 +1,114 @@
+// Dashboard queries
+// The dashboard page (dashboard.html) lists every cookie the extension knows
+// of across all sites: everything in the browser's cookie stores plus the
+// history of cookies that were blocked or removed. The background builds one
+// record per cookie (collectDashboardCookies() in background.js); these
+// functions filter, sort, group and page those records for the QUERY_COOKIES
+// and GET_SITE_SUMMARIES messages.
+// Loaded by the background service worker (importScripts), after
+// risk-model.js and toolbar-badge.js.
+
+const DASHBOARD_PAGE_SIZE = 50;
+const DASHBOARD_MAX_PAGE_SIZE = 500;
+const DASHBOARD_DAY_MS = 24 * 60 * 60 * 1000;
+
+const DASHBOARD_COOKIE_SORT_KEYS = ['name', 'domain', 'site', 'riskScore', 'status', 'party', 'firstSeen', 'lastSeen', 'expirationDate'];
+const DASHBOARD_SITE_SORT_KEYS = ['site', 'cookies', 'live', 'suspicious', 'blocked', 'thirdParty', 'lastSeen'];
+
+// filters: { domain, site, risk, status, dataType, party, minAgeDays, maxAgeDays };
+// empty fields match everything. Age counts from when the cookie was first seen.
+function matchesDashboardFilters(record, filters, now) {
+  if (filters.domain && !record.domain.toLowerCase().includes(filters.domain.trim().toLowerCase())) return false;
+  if (filters.site && record.site !== filters.site) return false;
+  if (filters.risk && record.riskLevel !== filters.risk) return false;
+  if (filters.status && record.status !== filters.status) return false;
+  if (filters.dataType && !record.potentialData.includes(filters.dataType)) return false;
+  if (filters.party && record.party !== filters.party) return false;
+
+  if (Number.isFinite(filters.minAgeDays) || Number.isFinite(filters.maxAgeDays)) {
+    // Cookies set before the extension saw them have no known age
+    if (!record.firstSeen) return false;
+    const ageDays = (now - record.firstSeen) / DASHBOARD_DAY_MS;
+    if (Number.isFinite(filters.minAgeDays) && ageDays < filters.minAgeDays) return false;
+    if (Number.isFinite(filters.maxAgeDays) && ageDays >= filters.maxAgeDays) return false;
+  }
+  return true;
+}
+
+function filterDashboardCookies(records, filters) {
+  const now = Date.now();
+  return records.filter(record => matchesDashboardFilters(record, filters || {}, now));
+}
+
+// Missing values go last whichever way the column is sorted
+function compareDashboardValues(a, b, direction) {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+  const order = typeof a === 'string' ? a.localeCompare(b) : a - b;
+  return order * direction;
+}
+
+// sort: { key, direction: 'asc' | 'desc' }; ties keep a stable order so pages
+// don't shift between requests
+function sortDashboardItems(items, sort, allowedKeys, defaultKey, tieKey) {
+  const key = sort && allowedKeys.includes(sort.key) ? sort.key : defaultKey;
+  const direction = sort && sort.direction === 'asc' ? 1 : -1;
+  return [...items].sort((a, b) =>
+    compareDashboardValues(a[key], b[key], direction) || a[tieKey].localeCompare(b[tieKey])
+  );
+}
+
+function pageDashboardItems(items, offset, limit) {
+  const size = Math.min(Math.max(Math.round(Number(limit)) || DASHBOARD_PAGE_SIZE, 1), DASHBOARD_MAX_PAGE_SIZE);
+  const start = Math.max(Math.round(Number(offset)) || 0, 0);
+  return {
+    items: items.slice(start, start + size),
+    total: items.length,
+    offset: start,
+    limit: size
+  };
+}
+
+// Every data type found in the records, for the dashboard's filter options
+function listDashboardDataTypes(records) {
+  const dataTypes = new Set();
+  records.forEach(record => record.potentialData.forEach(dataType => dataTypes.add(dataType)));
+  return [...dataTypes].sort();
+}
+
+// One aggregate per site (eTLD+1; the bare host for IPs and localhost)
+function summarizeDashboardSites(records) {
+  const sites = new Map();
+
+  for (const record of records) {
+    let summary = sites.get(record.site);
+    if (!summary) {
+      summary = {
+        site: record.site,
+        cookies: 0,
+        live: 0,
+        suspicious: 0,
+        blocked: 0,
+        thirdParty: 0,
+        worstRisk: RISK_LEVEL_LOW,
+        trackers: [],
+        lastSeen: 0
+      };
+      sites.set(record.site, summary);
+    }
+
+    summary.cookies++;
+    if (record.present) summary.live++;
+    if (record.riskLevel !== RISK_LEVEL_LOW) summary.suspicious++;
+    if (record.status === 'blocked') summary.blocked++;
+    if (record.party === 'third') summary.thirdParty++;
+    summary.worstRisk = getWorseRiskLevel(summary.worstRisk, record.riskLevel);
+    if (record.trackerEntity && !summary.trackers.includes(record.trackerEntity)) {
+      summary.trackers.push(record.trackerEntity);
+    }
+    summary.lastSeen = Math.max(summary.lastSeen, record.lastSeen || 0);
+  }
+
+  return [...sites.values()];
+}
@@ -0,0 +1,325 @@
+const dashboardState = {
+  view: 'cookies',
+  cookies: { sort: { key: 'riskScore', direction: 'desc' }, offset: 0, total: 0, limit: 50 },
+  sites: { sort: { key: 'cookies', direction: 'desc' }, offset: 0, total: 0, limit: 50 },
+  selected: new Set(),
+  pageCookieKeys: []
+};
+
+let filterTimer = null;
+
+document.addEventListener('DOMContentLoaded', function() {
+  setupDashboardListeners();
+  loadCurrentView();
+});
+
+function setupDashboardListeners() {
+  document.querySelectorAll('.nav-item').forEach(item => {
+    item.addEventListener('click', () => showView(item.dataset.tab));
+  });
+  
+  // Typing waits for a pause; the selects apply at once
+  ['filter-domain', 'filter-site'].forEach(id => {
+    document.getElementById(id).addEventListener('input', () => {
+      clearTimeout(filterTimer);
+      filterTimer = setTimeout(applyFilters, 300);
+    });
+  });
+  ['filter-risk', 'filter-status', 'filter-data-type', 'filter-party', 'filter-age'].forEach(id => {
+    document.getElementById(id).addEventListener('change', applyFilters);
+  });
+  
+  document.getElementById('reset-filters').addEventListener('click', () => {
+    document.querySelectorAll('.filters input, .filters select').forEach(field => {
+      field.value = '';
+    });
+    applyFilters();
+  });
+  document.getElementById('refresh-data').addEventListener('click', loadCurrentView);
+  
+  document.querySelectorAll('th[data-sort]').forEach(header => {
+    header.addEventListener('click', () => {
+      const state = dashboardState[dashboardState.view];
+      const key = header.dataset.sort;
+      // Names sort A-Z first, numbers and dates largest first
+      const defaultDirection = ['name', 'domain', 'site', 'status', 'party'].includes(key) ? 'asc' : 'desc';
+      state.sort = {
+        key: key,
+        direction: state.sort.key === key ? (state.sort.direction === 'asc' ? 'desc' : 'asc') : defaultDirection
+      };
+      state.offset = 0;
+      loadCurrentView();
+    });
+  });
+  
+  document.getElementById('cookies-prev').addEventListener('click', () => changePage('cookies', -1));
+  document.getElementById('cookies-next').addEventListener('click', () => changePage('cookies', 1));
+  document.getElementById('sites-prev').addEventListener('click', () => changePage('sites', -1));
+  document.getElementById('sites-next').addEventListener('click', () => changePage('sites', 1));
+  
+  document.getElementById('select-all').addEventListener('change', (event) => {
+    dashboardState.pageCookieKeys.forEach(cookieKey => {
+      if (event.target.checked) {
+        dashboardState.selected.add(cookieKey);
+      } else {
+        dashboardState.selected.delete(cookieKey);
+      }
+    });
+    document.querySelectorAll('#cookies-table input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = event.target.checked;
+    });
+    updateSelectionCount();
+  });
+  
+  document.getElementById('bulk-allow').addEventListener('click', () => runBulkAction('allow'));
+  document.getElementById('bulk-block').addEventListener('click', () => runBulkAction('block'));
+  document.getElementById('bulk-delete').addEventListener('click', () => runBulkAction('delete'));
+}
+
+function showView(view) {
+  dashboardState.view = view;
+  document.querySelectorAll('.nav-item').forEach(nav => nav.classList.toggle('active', nav.dataset.tab === view));
+  document.querySelectorAll('.tab').forEach(tab => tab.classList.toggle('active', tab.id === `${view}-tab`));
+  loadCurrentView();
+}
+
+function getFilters() {
+  const [minAge, maxAge] = document.getElementById('filter-age').value.split('-');
+  return {
+    domain: document.getElementById('filter-domain').value.trim(),
+    site: document.getElementById('filter-site').value.trim().toLowerCase(),
+    risk: document.getElementById('filter-risk').value,
+    status: document.getElementById('filter-status').value,
+    dataType: document.getElementById('filter-data-type').value,
+    party: document.getElementById('filter-party').value,
+    minAgeDays: minAge ? Number(minAge) : null,
+    maxAgeDays: maxAge ? Number(maxAge) : null
+  };
+}
+
+// A selection made under other filters could include rows no longer shown
+function applyFilters() {
+  dashboardState.cookies.offset = 0;
+  dashboardState.sites.offset = 0;
+  dashboardState.selected.clear();
+  loadCurrentView();
+}
+
+function changePage(view, step) {
+  const state = dashboardState[view];
+  const offset = state.offset + step * state.limit;
+  if (offset < 0 || offset >= state.total) return;
+  state.offset = offset;
+  loadCurrentView();
+}
+
+function loadCurrentView() {
+  return dashboardState.view === 'sites' ? loadSites() : loadCookies();
+}
+
+function showStatus(message, type = 'info') {
+  const statusEl = document.getElementById('status-message');
+  statusEl.textContent = message;
+  statusEl.style.color = type === 'error' ? '#dc3545' : type === 'success' ? '#28a745' : '#666';
+}
+
+async function loadCookies() {
+  const state = dashboardState.cookies;
+  const response = await chrome.runtime.sendMessage({
+    type: 'QUERY_COOKIES',
+    filters: getFilters(),
+    sort: state.sort,
+    offset: state.offset,
+    limit: state.limit
+  });
+  if (response.error) {
+    showStatus(`Could not load cookies: ${response.error}`, 'error');
+  }
+  
+  state.total = response.total;
+  state.offset = response.offset;
+  dashboardState.pageCookieKeys = response.cookies.map(cookie => cookie.cookieKey);
+  
+  renderDataTypeOptions(response.dataTypes);
+  renderCookiesTable(response.cookies);
+  renderRange('cookies', state, response.cookies.length);
+  updateSelectionCount();
+}
+
+async function loadSites() {
+  const state = dashboardState.sites;
+  const response = await chrome.runtime.sendMessage({
+    type: 'GET_SITE_SUMMARIES',
+    filters: getFilters(),
+    sort: state.sort,
+    offset: state.offset,
+    limit: state.limit
+  });
+  if (response.error) {
+    showStatus(`Could not load sites: ${response.error}`, 'error');
+  }
+  
+  state.total = response.total;
+  state.offset = response.offset;
+  
+  renderSitesTable(response.sites);
+  renderRange('sites', state, response.sites.length);
+}
+
+// Keeps the current choice when the list of types found changes
+function renderDataTypeOptions(dataTypes) {
+  const select = document.getElementById('filter-data-type');
+  const current = select.value;
+  const options = current && !dataTypes.includes(current) ? [current, ...dataTypes] : dataTypes;
+  select.innerHTML = `
+    <option value="">Any</option>
+    ${options.map(dataType => `<option value="${escapeHtml(dataType)}">${escapeHtml(formatDataType(dataType))}</option>`).join('')}
+  `;
+  select.value = current;
+}
+
+function renderRange(view, state, shown) {
+  document.getElementById(`${view}-range`).textContent = state.total === 0
+    ? 'No results'
+    : `${state.offset + 1}–${state.offset + shown} of ${state.total}`;
+  document.getElementById(`${view}-prev`).disabled = state.offset === 0;
+  document.getElementById(`${view}-next`).disabled = state.offset + shown >= state.total;
+}
+
+function renderCookiesTable(cookies) {
+  const tableEl = document.getElementById('cookies-table');
+  document.getElementById('select-all').checked = cookies.length > 0 &&
+    cookies.every(cookie => dashboardState.selected.has(cookie.cookieKey));
+  
+  if (cookies.length === 0) {
+    tableEl.innerHTML = `<tr><td colspan="11"><div class="empty-state">🍪 No cookies match these filters</div></td></tr>`;
+    return;
+  }
+  
+  tableEl.innerHTML = cookies.map(cookie => `
+    <tr>
+      <td><input type="checkbox" data-cookie-key="${escapeHtml(cookie.cookieKey)}" ${dashboardState.selected.has(cookie.cookieKey) ? 'checked' : ''}></td>
+      <td>
+        <strong>${escapeHtml(cookie.name)}</strong>
+        ${cookie.incognito ? '<span title="Private browsing">🕶️</span>' : ''}
+        ${cookie.trackerEntity ? `<div style="font-size: 10px; color: #999;">${escapeHtml(cookie.trackerEntity)}</div>` : ''}
+      </td>
+      <td>${escapeHtml(cookie.domain)}</td>
+      <td><span class="site-link" data-site="${escapeHtml(cookie.site)}">${escapeHtml(cookie.site)}</span></td>
+      <td><span class="risk-${escapeHtml(cookie.riskLevel)}">${escapeHtml(cookie.riskLevel.toUpperCase())}</span> <span style="color: #999;">${cookie.riskScore}</span></td>
+      <td>${escapeHtml(formatStatus(cookie))}</td>
+      <td>${escapeHtml(formatParty(cookie))}</td>
+      <td>${cookie.potentialData.length > 0 ? escapeHtml(cookie.potentialData.map(formatDataType).join(', ')) : '<span style="color: #999;">—</span>'}</td>
+      <td class="muted">${formatDate(cookie.firstSeen)}</td>
+      <td class="muted">${formatDate(cookie.lastSeen)}</td>
+      <td class="muted">${formatExpiration(cookie)}</td>
+    </tr>
+  `).join('');
+  
+  tableEl.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        dashboardState.selected.add(checkbox.dataset.cookieKey);
+      } else {
+        dashboardState.selected.delete(checkbox.dataset.cookieKey);
+      }
+      updateSelectionCount();
+    });
+  });
+  tableEl.querySelectorAll('.site-link').forEach(link => {
+    link.addEventListener('click', () => filterBySite(link.dataset.site));
+  });
+}
+
+function renderSitesTable(sites) {
+  const tableEl = document.getElementById('sites-table');
+  if (sites.length === 0) {
+    tableEl.innerHTML = `<tr><td colspan="9"><div class="empty-state">🌐 No sites match these filters</div></td></tr>`;
+    return;
+  }
+  
+  tableEl.innerHTML = sites.map(site => `
+    <tr>
+      <td><span class="site-link" data-site="${escapeHtml(site.site)}">${escapeHtml(site.site)}</span></td>
+      <td>${site.cookies}</td>
+      <td>${site.live}</td>
+      <td>${site.suspicious}</td>
+      <td>${site.blocked}</td>
+      <td>${site.thirdParty}</td>
+      <td><span class="risk-${escapeHtml(site.worstRisk)}">${escapeHtml(site.worstRisk.toUpperCase())}</span></td>
+      <td>${site.trackers.length > 0 ? escapeHtml(site.trackers.join(', ')) : '<span style="color: #999;">—</span>'}</td>
+      <td class="muted">${formatDate(site.lastSeen)}</td>
+    </tr>
+  `).join('');
+  
+  tableEl.querySelectorAll('.site-link').forEach(link => {
+    link.addEventListener('click', () => filterBySite(link.dataset.site));
+  });
+}
+
+// Shows a site's cookies, from either table
+function filterBySite(site) {
+  document.getElementById('filter-site').value = site;
+  dashboardState.cookies.offset = 0;
+  dashboardState.selected.clear();
+  showView('cookies');
+}
+
+function updateSelectionCount() {
+  const count = dashboardState.selected.size;
+  document.getElementById('selection-count').textContent = `${count} selected`;
+  ['bulk-allow', 'bulk-block', 'bulk-delete'].forEach(id => {
+    document.getElementById(id).disabled = count === 0;
+  });
+}
+
+async function runBulkAction(action) {
+  const cookieKeys = [...dashboardState.selected];
+  if (cookieKeys.length === 0) return;
+  
+  if (action === 'delete' && !confirm(`Delete ${cookieKeys.length} cookies from the browser and forget their history? Their permissions are kept.`)) {
+    return;
+  }
+  
+  showStatus(`Applying ${action} to ${cookieKeys.length} cookies...`);
+  const response = await chrome.runtime.sendMessage({
+    type: 'BULK_COOKIE_ACTION',
+    cookieKeys: cookieKeys,
+    action: action
+  });
+  
+  if (response && response.success) {
+    const verb = { allow: 'Allowed', block: 'Blocked', delete: 'Deleted' }[action];
+    showStatus(`${verb} ${response.count} cookies`, 'success');
+    dashboardState.selected.clear();
+  } else {
+    showStatus(`Could not ${action} cookies: ${response ? response.error : 'no response'}`, 'error');
+  }
+  await loadCookies();
+}
+
+function formatDataType(dataType) {
+  return dataType.replace(/_/g, ' ');
+}
+
+function formatStatus(cookie) {
+  const status = cookie.status.charAt(0).toUpperCase() + cookie.status.slice(1);
+  // Blocked by policy but not removed yet, e.g. set before the rule existed
+  return cookie.status === 'blocked' && cookie.present ? `${status} (still set)` : status;
+}
+
+function formatParty(cookie) {
+  if (cookie.party === 'unknown') return 'Unknown';
+  const party = cookie.party === 'first' ? 'First-party' : 'Third-party';
+  return cookie.pageDomain ? `${party} on ${cookie.pageDomain}` : party;
+}
+
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '—';
+}
+
+function formatExpiration(cookie) {
+  if (!cookie.present) return '—';
+  if (!cookie.expirationDate) return 'Session';
+  return new Date(cookie.expirationDate * 1000).toLocaleDateString();
+}
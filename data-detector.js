@@ -0,0 +1,257 @@
+// Personal data detection for cookies
+// Inspects every layer of the decoded cookie value (cookie-decoder.js) for
+// concrete personal data (emails, IP addresses, coordinates, phone numbers,
+// user agents, dates of birth and persistent identifiers), and the cookie
+// name and decoded JSON keys for whole-word hints.
+// Each finding carries a confidence and the evidence span it was found in.
+// Loaded by the background service worker (importScripts), the content script
+// and the popup.
+
+// Every data type detectPotentialData() can report
+const COOKIE_DATA_TYPES = [
+  'email',
+  'name',
+  'phone_number',
+  'location',
+  'device_info',
+  'ip_address',
+  'persistent_identifier',
+  'browsing_behavior',
+  'preferences',
+  'session_data',
+  'marketing_data',
+  'social_media_data',
+  'shopping_data',
+  'demographic_data'
+];
+
+// Findings below this confidence are kept as evidence but don't tag the cookie
+const DETECTION_MIN_CONFIDENCE = 0.5;
+
+const EVIDENCE_MAX_LENGTH = 60;
+
+const VALUE_DETECTORS = [
+  {
+    id: 'email',
+    dataType: 'email',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+    confidence: () => 0.95,
+    label: 'Email address'
+  },
+  {
+    id: 'ipv4',
+    dataType: 'ip_address',
+    pattern: /(?<![\d.])(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?![\d.])/g,
+    confidence: () => 0.85,
+    label: 'IPv4 address'
+  },
+  {
+    id: 'ipv6',
+    dataType: 'ip_address',
+    pattern: /(?<![0-9A-Fa-f:])(?=[0-9A-Fa-f:]*:[0-9A-Fa-f:]*:)[0-9A-Fa-f:]{3,39}(?![0-9A-Fa-f:])/g,
+    confidence: (match) => isValidIPv6(match) ? 0.8 : 0,
+    label: 'IPv6 address'
+  },
+  {
+    id: 'lat_long',
+    dataType: 'location',
+    pattern: /(?<![\d.])(-?\d{1,2}\.\d{3,})\s*[,;|:_ ]\s*(-?\d{1,3}\.\d{3,})(?![\d.])/g,
+    confidence: (match, groups) => {
+      const lat = parseFloat(groups[1]);
+      const long = parseFloat(groups[2]);
+      return Math.abs(lat) <= 90 && Math.abs(long) <= 180 ? 0.8 : 0;
+    },
+    label: 'Latitude/longitude pair'
+  },
+  {
+    id: 'phone',
+    dataType: 'phone_number',
+    pattern: /\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}/g,
+    confidence: (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 8 && digits <= 15 ? 0.7 : 0;
+    },
+    label: 'Phone number'
+  },
+  {
+    id: 'user_agent',
+    dataType: 'device_info',
+    pattern: /Mozilla\/\d\.\d[^;,&]*(?:\([^)]*\))?|\((?:Windows NT|Macintosh|X11; Linux|Linux; Android|iPhone|iPad)[^)]*\)/g,
+    confidence: () => 0.9,
+    label: 'User-agent string'
+  },
+  {
+    id: 'date_of_birth',
+    dataType: 'demographic_data',
+    pattern: /(?<!\d)(19\d{2}|20\d{2})-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])(?!\d)/g,
+    confidence: (match, groups, context) => {
+      const age = new Date().getFullYear() - parseInt(groups[1], 10);
+      if (age < 13 || age > 110) return 0;
+      return context.hasBirthHint ? 0.85 : 0.35;
+    },
+    label: 'Date of birth'
+  },
+  {
+    id: 'uuid',
+    dataType: 'persistent_identifier',
+    pattern: /(?<![0-9a-fA-F])[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[1-8][0-9a-fA-F]{3}-[89abAB][0-9a-fA-F]{3}-[0-9a-fA-F]{12}(?![0-9a-fA-F])/g,
+    confidence: () => 0.75,
+    label: 'UUID identifier'
+  },
+  {
+    id: 'hex_id',
+    dataType: 'persistent_identifier',
+    pattern: /(?<![0-9a-fA-F])[0-9a-fA-F]{32,64}(?![0-9a-fA-F])/g,
+    confidence: () => 0.6,
+    label: 'Long hexadecimal identifier'
+  }
+];
+
+// Whole-word hints in the cookie name (or a key inside its value). A name
+// alone is no evidence of what the value holds, so hints stay just below
+// DETECTION_MIN_CONFIDENCE: they are kept with the findings, but only a
+// finding in the value tags the cookie.
+const NAME_HINT_CONFIDENCE = 0.4;
+const NAME_HINTS = {
+  'email': ['email', 'mail', 'e-mail'],
+  'name': ['name', 'username', 'fullname', 'firstname', 'lastname', 'user'],
+  'phone_number': ['phone', 'tel', 'mobile', 'msisdn'],
+  'location': ['location', 'geo', 'geoip', 'lat', 'lng', 'lon', 'gps', 'city', 'country', 'zip', 'postcode', 'region'],
+  'device_info': ['device', 'browser', 'platform', 'useragent', 'ua', 'screen', 'resolution', 'os'],
+  'ip_address': ['ip', 'clientip', 'remoteaddr'],
+  'persistent_identifier': ['uid', 'uuid', 'guid', 'visitorid', 'clientid', 'cid', 'fingerprint'],
+  'browsing_behavior': ['behavior', 'behaviour', 'click', 'scroll', 'activity', 'history', 'visit', 'visitor', 'pageview'],
+  'preferences': ['preference', 'preferences', 'pref', 'prefs', 'settings', 'setting', 'config', 'theme', 'lang', 'language', 'locale', 'currency', 'consent'],
+  'session_data': ['session', 'sess', 'sid', 'login', 'token', 'auth', 'jwt', 'csrf', 'xsrf', 'credential'],
+  'marketing_data': ['ad', 'ads', 'adid', 'marketing', 'campaign', 'utm', 'tracking', 'track', 'analytics', 'conversion', 'gclid', 'fbclid', 'pixel'],
+  'social_media_data': ['social', 'facebook', 'fb', 'twitter', 'linkedin', 'instagram', 'youtube', 'tiktok'],
+  'shopping_data': ['cart', 'basket', 'purchase', 'product', 'checkout', 'order', 'wishlist'],
+  'demographic_data': ['age', 'gender', 'birth', 'birthday', 'dob', 'bday', 'income', 'education', 'demographic']
+};
+
+const BIRTH_HINT_PATTERN = /(dob|birth|bday)/i;
+
+function isValidIPv6(text) {
+  const doubleColons = text.split('::').length - 1;
+  if (doubleColons > 1) return false;
+  const groups = text.split(':').filter(group => group !== '');
+  if (groups.some(group => !/^[0-9A-Fa-f]{1,4}$/.test(group))) return false;
+  return doubleColons === 1 ? groups.length < 8 && groups.length >= 2 : groups.length === 8;
+}
+
+// Splits `_hjSessionUser_123`, `visitor-id` or `userName` into lowercase words
+function tokenizeCookieName(name) {
+  return (name || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .map(token => token.toLowerCase())
+    .filter(token => token && !/^\d+$/.test(token));
+}
+
+function makeEvidence(text, start, end, field) {
+  const matched = text.substring(start, end);
+  return {
+    field: field,
+    start: start,
+    end: end,
+    text: matched.length > EVIDENCE_MAX_LENGTH ? matched.substring(0, EVIDENCE_MAX_LENGTH) + '…' : matched
+  };
+}
+
+function detectInValue(text, context, field) {
+  const findings = [];
+
+  for (const detector of VALUE_DETECTORS) {
+    detector.pattern.lastIndex = 0;
+    let match;
+    while ((match = detector.pattern.exec(text)) !== null) {
+      const confidence = detector.confidence(match[0], match, context);
+      if (confidence > 0) {
+        findings.push({
+          dataType: detector.dataType,
+          detector: detector.id,
+          label: detector.label,
+          confidence: confidence,
+          evidence: makeEvidence(text, match.index, match.index + match[0].length, field)
+        });
+      }
+      if (match[0].length === 0) detector.pattern.lastIndex++;
+    }
+  }
+
+  return findings;
+}
+
+function detectInName(name, field) {
+  const findings = [];
+  const tokens = tokenizeCookieName(name);
+
+  for (const [dataType, hints] of Object.entries(NAME_HINTS)) {
+    const token = tokens.find(t => hints.includes(t));
+    if (token) {
+      const start = name.toLowerCase().indexOf(token);
+      findings.push({
+        dataType: dataType,
+        detector: 'name_hint',
+        label: field === 'name' ? `Cookie name contains "${token}"` : `Field name contains "${token}"`,
+        confidence: NAME_HINT_CONFIDENCE,
+        evidence: makeEvidence(name, Math.max(start, 0), Math.max(start, 0) + token.length, field)
+      });
+    }
+  }
+
+  return findings;
+}
+
+// The same text is often visible in several layers (URL-decoded and then
+// parsed as JSON), so repeated evidence is only reported once
+function dedupeFindings(findings) {
+  const seen = new Set();
+  return findings.filter(finding => {
+    const key = `${finding.dataType}|${finding.detector}|${finding.evidence.text}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Returns { dataTypes, findings, decoded }; dataTypes only includes types with
+// at least one finding at or above DETECTION_MIN_CONFIDENCE
+function detectCookieData(cookie) {
+  const name = cookie.name || '';
+  const decoded = decodeCookieValue(cookie.value);
+  const findings = [...detectInName(name, 'name')];
+
+  for (const entry of collectDecodedStrings(decoded)) {
+    const hasBirthHint = BIRTH_HINT_PATTERN.test(name) || BIRTH_HINT_PATTERN.test(entry.key || '');
+    findings.push(...detectInValue(entry.text, { hasBirthHint: hasBirthHint }, entry.path));
+    if (entry.key) {
+      findings.push(...detectInName(entry.key, entry.path));
+    }
+  }
+
+  const uniqueFindings = dedupeFindings(findings);
+  const dataTypes = [];
+  for (const finding of uniqueFindings) {
+    if (finding.confidence >= DETECTION_MIN_CONFIDENCE && !dataTypes.includes(finding.dataType)) {
+      dataTypes.push(finding.dataType);
+    }
+  }
+
+  return { dataTypes: dataTypes, findings: uniqueFindings, decoded: decoded };
+}
+
+function detectPotentialData(cookie) {
+  return detectCookieData(cookie).dataTypes;
+}
+
+// Highest-confidence finding per data type, for "why was this flagged" displays
+function summarizeFindings(findings) {
+  const best = {};
+  for (const finding of findings || []) {
+    if (!best[finding.dataType] || finding.confidence > best[finding.dataType].confidence) {
+      best[finding.dataType] = finding;
+    }
+  }
+  return best;
+}
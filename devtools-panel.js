@@ -0,0 +1,197 @@
+const inspectedTabId = chrome.devtools.inspectedWindow.tabId;
+
+// Cookies are stored by the background shortly after the response arrives
+const LOOKUP_RETRY_DELAY = 1500;
+
+// { kind: 'request', id, url, method, status, statusText, initiator, resourceType, lines, setCookies, results }
+// or { kind: 'navigation', url }
+let panelRows = [];
+let nextRequestId = 1;
+
+document.addEventListener('DOMContentLoaded', function() {
+  document.getElementById('request-filter').addEventListener('input', renderRequests);
+  document.getElementById('clear-requests').addEventListener('click', () => {
+    panelRows = [];
+    renderRequests();
+  });
+  
+  // Requests made before the panel was opened
+  chrome.devtools.network.getHAR((har) => {
+    (har.entries || []).forEach(addHarEntry);
+    renderRequests();
+  });
+  chrome.devtools.network.onRequestFinished.addListener(addHarEntry);
+  chrome.devtools.network.onNavigated.addListener((url) => {
+    if (document.getElementById('preserve-log').checked) {
+      panelRows.push({ kind: 'navigation', url: url });
+    } else {
+      panelRows = [];
+    }
+    renderRequests();
+  });
+});
+
+function getSetCookieLines(entry) {
+  return (entry.response.headers || [])
+    .filter(header => header.name.toLowerCase() === 'set-cookie')
+    .flatMap(header => header.value.split('\n'))
+    .filter(line => line.trim());
+}
+
+// Chrome's HAR has the initiator as `_initiator`: a URL for parser and
+// redirect initiators, a call stack for scripts
+function describeInitiator(entry) {
+  const initiator = entry._initiator;
+  if (!initiator) return null;
+  let url = initiator.url || null;
+  if (!url && initiator.stack && initiator.stack.callFrames && initiator.stack.callFrames.length > 0) {
+    const frame = initiator.stack.callFrames[0];
+    url = `${frame.url}:${frame.lineNumber + 1}`;
+  }
+  return { type: initiator.type, url: url };
+}
+
+async function addHarEntry(entry) {
+  const lines = getSetCookieLines(entry);
+  if (lines.length === 0) return;
+  
+  const request = {
+    kind: 'request',
+    id: nextRequestId++,
+    url: entry.request.url,
+    method: entry.request.method,
+    status: entry.response.status,
+    statusText: entry.response.statusText,
+    initiator: describeInitiator(entry),
+    resourceType: entry._resourceType || null,
+    lines: lines,
+    setCookies: lines.map(line => parseSetCookieHeader(line, entry.request.url)),
+    results: []
+  };
+  panelRows.push(request);
+  
+  await lookupRequestCookies(request);
+  if (request.results.some(result => !result.matched)) {
+    setTimeout(async () => {
+      await lookupRequestCookies(request);
+      renderRequests();
+    }, LOOKUP_RETRY_DELAY);
+  }
+  renderRequests();
+}
+
+async function lookupRequestCookies(request) {
+  const response = await chrome.runtime.sendMessage({
+    type: 'LOOKUP_SET_COOKIES',
+    tabId: inspectedTabId,
+    cookies: request.setCookies
+  });
+  // No response when the background couldn't be reached
+  request.results = (response && response.results) || [];
+  request.error = response ? response.error || null : 'Could not reach the extension';
+}
+
+function matchesRequestFilter(request, text) {
+  if (!text) return true;
+  return request.url.toLowerCase().includes(text) ||
+    request.setCookies.some(cookie => cookie.name.toLowerCase().includes(text));
+}
+
+function renderRequests() {
+  const listEl = document.getElementById('request-list');
+  const text = document.getElementById('request-filter').value.trim().toLowerCase();
+  const rows = panelRows.filter(row => row.kind === 'navigation' || matchesRequestFilter(row, text));
+  
+  if (!rows.some(row => row.kind === 'request')) {
+    listEl.innerHTML = `
+      <tr><td colspan="6">
+        <div class="empty-state">No responses with Set-Cookie headers yet. Reload the page to capture them.</div>
+      </td></tr>
+    `;
+    return;
+  }
+  
+  listEl.innerHTML = rows.map(row => row.kind === 'navigation'
+    ? `<tr class="navigation-row"><td colspan="6">Navigated to ${escapeHtml(row.url)}</td></tr>`
+    : renderRequestRows(row)
+  ).join('');
+  
+  listEl.querySelectorAll('button[data-action]').forEach(button => {
+    button.addEventListener('click', () => {
+      handleRowAction(Number(button.dataset.requestId), Number(button.dataset.index), button.dataset.action);
+    });
+  });
+}
+
+function renderRequestRows(request) {
+  const initiator = request.initiator
+    ? `${escapeHtml(request.initiator.type)}${request.initiator.url ? ` · ${escapeHtml(request.initiator.url)}` : ''}`
+    : 'unknown';
+  
+  const requestRow = `
+    <tr class="request-row">
+      <td colspan="6">
+        <div class="url"><strong>${escapeHtml(request.method)} ${request.status}</strong> ${escapeHtml(request.url)}</div>
+        <div class="muted">
+          Initiator: ${initiator}${request.resourceType ? ` · ${escapeHtml(request.resourceType)}` : ''}
+          ${request.error ? ` · <span style="color: #dc3545;">${escapeHtml(request.error)}</span>` : ''}
+        </div>
+      </td>
+    </tr>
+  `;
+  
+  const cookieRows = request.setCookies.map((setCookie, index) => {
+    const result = request.results[index];
+    const factors = result ? result.riskFactors.map(factor => `${factor.label} +${factor.points}`).join('\n') : '';
+    return `
+      <tr>
+        <td title="${escapeHtml(request.lines[index])}">
+          <strong>${escapeHtml(setCookie.name)}</strong>
+          ${result && result.tracker ? `<div class="muted">${escapeHtml(result.tracker.entity || '')}</div>` : ''}
+        </td>
+        <td>${escapeHtml(setCookie.domain)}<span class="muted">${escapeHtml(setCookie.path)}</span></td>
+        <td>${result ? (result.matched ? escapeHtml(result.status) : '<span class="muted">not stored</span>') : '…'}</td>
+        <td title="${escapeHtml(factors)}">
+          ${result ? `<span class="risk-${escapeHtml(result.riskLevel)}">${escapeHtml(result.riskLevel.toUpperCase())}</span> <span class="muted">${result.riskScore}</span>` : '…'}
+        </td>
+        <td>${result && result.permission ? escapeHtml(result.permission) : '<span class="muted">none</span>'}</td>
+        <td style="white-space: nowrap;">
+          ${result ? `
+            <button class="allow-btn" data-action="allow" data-request-id="${request.id}" data-index="${index}">Allow</button>
+            <button class="block-btn" data-action="block" data-request-id="${request.id}" data-index="${index}">Block</button>
+          ` : ''}
+        </td>
+      </tr>
+    `;
+  }).join('');
+  
+  return requestRow + cookieRows;
+}
+
+// Saves the permission like the popup's Allow/Block buttons, then refreshes
+// every row showing the same cookie. The background applies it to the full
+// cookie found by its key; the fields read from the header are only used for
+// a cookie that was never stored.
+async function handleRowAction(requestId, index, action) {
+  const request = panelRows.find(row => row.kind === 'request' && row.id === requestId);
+  const result = request && request.results[index];
+  if (!result) return;
+  
+  const response = await chrome.runtime.sendMessage({
+    type: 'UPDATE_COOKIE_PERMISSIONS',
+    cookieKey: result.cookieKey,
+    cookie: result.cookie,
+    action: action
+  });
+  
+  const affected = panelRows.filter(row =>
+    row.kind === 'request' && row.results.some(other => other.cookieKey === result.cookieKey)
+  );
+  for (const row of affected) {
+    await lookupRequestCookies(row);
+  }
+  if (!response || !response.success) {
+    request.error = `Could not save permission: ${response ? response.error : 'no response'}`;
+  }
+  renderRequests();
+}
@@ -0,0 +1,2 @@
+// Adds the Cookies panel to the DevTools of every inspected page
+chrome.devtools.panels.create('Cookie Guard', '', 'devtools-panel.html');
@@ -0,0 +1,218 @@
+// Background queue for cookie explanations
+// Explanations can take seconds each from a remote or local model, so they are
+// generated here instead of inside GET_ALL_COOKIE_DATA. Jobs are deduplicated
+// by cookie, run a few at a time and retried with exponential backoff while
+// the provider is failing. Pending jobs are kept in chrome.storage.local so a
+// service-worker restart picks them up again, except jobs queued with
+// persist = false (private-browsing cookies), which stay in memory. Each result is broadcast as an
+// EXPLANATION_READY message for the popup to fill in. A job that runs out of
+// attempts is recorded as failed with its fallback, and the cookie isn't
+// queued again until EXPLANATION_FAILURE_BACKOFF (doubling with each further
+// failure) has passed, so opening the popup doesn't restart it every time.
+// Loaded by the background service worker (importScripts), after
+// cookie-identity.js.
+
+const EXPLANATION_QUEUE_STORAGE_KEY = 'explanationQueue';
+const EXPLANATION_QUEUE_CONCURRENCY = 2;
+const EXPLANATION_MAX_ATTEMPTS = 4;
+const EXPLANATION_RETRY_BASE_DELAY = 5000;
+const EXPLANATION_FAILURES_STORAGE_KEY = 'explanationFailures';
+const EXPLANATION_FAILURE_BACKOFF = 30 * 60 * 1000;
+const EXPLANATION_FAILURE_MAX_BACKOFF = 24 * 60 * 60 * 1000;
+
+let explanationJobs = new Map();
+let explanationWaiters = new Map();
+let explanationJobHandler = null;
+let runningExplanationJobs = 0;
+let explanationQueueTimer = null;
+// key -> { failures, failedAt, retryAt, lastError, explanation, persist }
+let explanationFailures = new Map();
+
+// Only the fields the providers read are stored with the job
+function toExplanationJobCookie(cookie) {
+  return {
+    name: cookie.name,
+    domain: cookie.domain,
+    storeId: cookie.storeId,
+    expirationDate: cookie.expirationDate,
+    potentialData: cookie.potentialData || [],
+    tracker: cookie.tracker || null
+  };
+}
+
+// handler(cookie) resolves to an explanation; results with a fallbackReason
+// count as failed attempts and are retried
+async function startExplanationQueue(handler) {
+  explanationJobHandler = handler;
+  try {
+    const stored = await chrome.storage.local.get([EXPLANATION_QUEUE_STORAGE_KEY, EXPLANATION_FAILURES_STORAGE_KEY]);
+    for (const job of stored[EXPLANATION_QUEUE_STORAGE_KEY] || []) {
+      if (!explanationJobs.has(job.key)) {
+        explanationJobs.set(job.key, { ...job, running: false });
+      }
+    }
+    for (const [key, failure] of Object.entries(stored[EXPLANATION_FAILURES_STORAGE_KEY] || {})) {
+      if (!explanationFailures.has(key)) {
+        explanationFailures.set(key, failure);
+      }
+    }
+    console.log('Explanation queue restored:', explanationJobs.size, 'jobs');
+  } catch (error) {
+    console.error('Error restoring explanation queue:', error);
+  }
+  processExplanationQueue();
+}
+
+function saveExplanationQueue() {
+  const now = Date.now();
+  const jobs = [...explanationJobs.values()]
+    .filter(job => job.persist !== false)
+    .map(({ running, ...job }) => job);
+  const failures = Object.fromEntries(
+    [...explanationFailures.entries()].filter(([, failure]) => failure.persist !== false && failure.retryAt > now)
+  );
+  chrome.storage.local.set({
+    [EXPLANATION_QUEUE_STORAGE_KEY]: jobs,
+    [EXPLANATION_FAILURES_STORAGE_KEY]: failures
+  }).catch(error => {
+    console.error('Error saving explanation queue:', error);
+  });
+}
+
+// The fallback of a cookie whose explanation failed and is backing off, or null
+function getFailedExplanation(cookie) {
+  const failure = explanationFailures.get(getExplanationKey(cookie));
+  return failure && failure.retryAt > Date.now() ? failure.explanation : null;
+}
+
+// After a change of provider or API key, failed cookies are worth trying again
+function clearExplanationFailures() {
+  explanationFailures.clear();
+  saveExplanationQueue();
+}
+
+// Resolves with the first explanation the job produces (possibly a fallback
+// while the provider is retried); asking again for a cookie that is already
+// queued joins the existing job
+function enqueueExplanation(cookie, persist = true) {
+  const key = getExplanationKey(cookie);
+  const failure = explanationFailures.get(key);
+  if (failure && failure.retryAt > Date.now()) {
+    return Promise.resolve(failure.explanation);
+  }
+
+  const result = new Promise(resolve => {
+    if (!explanationWaiters.has(key)) explanationWaiters.set(key, []);
+    explanationWaiters.get(key).push(resolve);
+  });
+
+  if (!explanationJobs.has(key)) {
+    explanationJobs.set(key, {
+      key: key,
+      cookie: toExplanationJobCookie(cookie),
+      attempts: 0,
+      nextAttemptAt: 0,
+      enqueuedAt: Date.now(),
+      lastError: null,
+      persist: persist,
+      running: false
+    });
+    saveExplanationQueue();
+  } else if (persist && explanationJobs.get(key).persist === false) {
+    explanationJobs.get(key).persist = true;
+    saveExplanationQueue();
+  }
+
+  processExplanationQueue();
+  return result;
+}
+
+function processExplanationQueue() {
+  clearTimeout(explanationQueueTimer);
+  if (!explanationJobHandler) return;
+
+  const now = Date.now();
+  const idleJobs = [...explanationJobs.values()].filter(job => !job.running);
+  const readyJobs = idleJobs
+    .filter(job => job.nextAttemptAt <= now)
+    .sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+
+  while (runningExplanationJobs < EXPLANATION_QUEUE_CONCURRENCY && readyJobs.length > 0) {
+    runExplanationJob(readyJobs.shift());
+  }
+
+  // Wake up for the earliest job that is backing off
+  const retryTimes = idleJobs.filter(job => job.nextAttemptAt > now).map(job => job.nextAttemptAt);
+  if (retryTimes.length > 0) {
+    explanationQueueTimer = setTimeout(processExplanationQueue, Math.min(...retryTimes) - now);
+  }
+}
+
+async function runExplanationJob(job) {
+  job.running = true;
+  job.attempts++;
+  runningExplanationJobs++;
+
+  let explanation = null;
+  try {
+    explanation = await explanationJobHandler(job.cookie);
+    job.lastError = explanation.fallbackReason || null;
+  } catch (error) {
+    console.error('Error generating explanation:', error);
+    job.lastError = error.message;
+  }
+
+  const canRetry = job.lastError && job.attempts < EXPLANATION_MAX_ATTEMPTS;
+  if (canRetry) {
+    job.nextAttemptAt = Date.now() + EXPLANATION_RETRY_BASE_DELAY * 2 ** (job.attempts - 1);
+    console.log(`Explanation for ${job.cookie.name} failed (attempt ${job.attempts}), retrying later:`, job.lastError);
+  } else {
+    explanationJobs.delete(job.key);
+    if (job.lastError) {
+      recordExplanationFailure(job, explanation);
+    } else {
+      explanationFailures.delete(job.key);
+    }
+  }
+
+  // A fallback is still worth showing while the real provider is retried
+  if (explanation) {
+    notifyExplanationReady(job.key, explanation, !canRetry);
+  }
+  // Waiters get the first usable result; later attempts only stream updates
+  if (explanation || !canRetry) {
+    const waiters = explanationWaiters.get(job.key) || [];
+    explanationWaiters.delete(job.key);
+    waiters.forEach(resolve => resolve(explanation));
+  }
+
+  job.running = false;
+  runningExplanationJobs--;
+  saveExplanationQueue();
+  processExplanationQueue();
+}
+
+function recordExplanationFailure(job, explanation) {
+  const previous = explanationFailures.get(job.key);
+  const failures = previous ? previous.failures + 1 : 1;
+  const backoff = Math.min(EXPLANATION_FAILURE_BACKOFF * 2 ** (failures - 1), EXPLANATION_FAILURE_MAX_BACKOFF);
+  const now = Date.now();
+  explanationFailures.set(job.key, {
+    failures: failures,
+    failedAt: now,
+    retryAt: now + backoff,
+    lastError: job.lastError,
+    explanation: explanation,
+    persist: job.persist
+  });
+  console.log(`Explanation for ${job.cookie.name} gave up after ${job.attempts} attempts, next try in ${Math.round(backoff / 60000)} min:`, job.lastError);
+}
+
+function notifyExplanationReady(key, explanation, isFinal) {
+  chrome.runtime.sendMessage({
+    type: 'EXPLANATION_READY',
+    cookieKey: key,
+    explanation: explanation,
+    final: isFinal
+  }).catch(() => {});
+}
@@ -0,0 +1,198 @@
+// Cookie history store (IndexedDB)
+// One record per cookie identity, keyed by cookieKey and indexed by domain,
+// status and lastSeen. The background keeps its working copy in the
+// cookieHistory Map and queues changed entries with queueHistoryWrite(); they
+// are written as one batched transaction once cookie events pause for
+// HISTORY_WRITE_DELAY, and never later than HISTORY_WRITE_MAX_DELAY after the
+// first queued change. Both are far below the 30 s after which an idle service
+// worker is stopped, so buffered writes land before the worker goes away;
+// onSuspend flushes whatever is left.
+// Loaded by the background service worker (importScripts), after
+// storage-layer.js.
+
+const HISTORY_DB_NAME = 'cookiePrivacyGuard';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE_NAME = 'cookieHistory';
+
+const HISTORY_PRUNE_ALARM = 'pruneCookieHistory';
+
+const HISTORY_WRITE_DELAY = 1000;
+const HISTORY_WRITE_MAX_DELAY = 5000;
+
+let historyDbPromise = null;
+// cookieKey -> entry to write, or null to delete
+let pendingHistoryWrites = new Map();
+let historyWriteTimer = null;
+let historyWriteDeadline = 0;
+
+chrome.runtime.onSuspend.addListener(() => {
+  flushHistoryWrites();
+});
+
+function openHistoryDatabase() {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(HISTORY_STORE_NAME, { keyPath: 'cookieKey' });
+        store.createIndex('domain', 'domain');
+        store.createIndex('status', 'status');
+        store.createIndex('lastSeen', 'lastSeen');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let the next call try again
+    historyDbPromise.catch(() => {
+      historyDbPromise = null;
+    });
+  }
+  return historyDbPromise;
+}
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbTransactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Resolves to a Map of cookieKey -> entry
+async function loadHistoryRecords() {
+  const db = await openHistoryDatabase();
+  const store = db.transaction(HISTORY_STORE_NAME).objectStore(HISTORY_STORE_NAME);
+  const records = await idbRequest(store.getAll());
+  return new Map(records.map(record => [record.cookieKey, record]));
+}
+
+// Records with the state the entry has when the batch is written
+function queueHistoryWrite(cookieKey, entry) {
+  pendingHistoryWrites.set(cookieKey, entry);
+  scheduleHistoryFlush();
+}
+
+function queueHistoryDelete(cookieKey) {
+  pendingHistoryWrites.set(cookieKey, null);
+  scheduleHistoryFlush();
+}
+
+function scheduleHistoryFlush() {
+  const now = Date.now();
+  if (!historyWriteDeadline) {
+    historyWriteDeadline = now + HISTORY_WRITE_MAX_DELAY;
+  }
+  clearTimeout(historyWriteTimer);
+  historyWriteTimer = setTimeout(flushHistoryWrites, Math.min(HISTORY_WRITE_DELAY, historyWriteDeadline - now));
+}
+
+async function flushHistoryWrites() {
+  clearTimeout(historyWriteTimer);
+  historyWriteTimer = null;
+  historyWriteDeadline = 0;
+  if (pendingHistoryWrites.size === 0) return;
+
+  const batch = pendingHistoryWrites;
+  pendingHistoryWrites = new Map();
+
+  try {
+    const db = await openHistoryDatabase();
+    const transaction = db.transaction(HISTORY_STORE_NAME, 'readwrite');
+    const done = idbTransactionDone(transaction);
+    const store = transaction.objectStore(HISTORY_STORE_NAME);
+    for (const [cookieKey, entry] of batch) {
+      if (entry) {
+        store.put({ ...entry, cookieKey: cookieKey });
+      } else {
+        store.delete(cookieKey);
+      }
+    }
+    await done;
+    console.log('Cookie history saved:', batch.size, 'records');
+  } catch (error) {
+    console.error('Error saving cookie history:', error);
+    // Put the batch back for the next flush, behind any newer changes
+    for (const [cookieKey, entry] of batch) {
+      if (!pendingHistoryWrites.has(cookieKey)) {
+        pendingHistoryWrites.set(cookieKey, entry);
+      }
+    }
+  }
+}
+
+async function clearHistoryStore() {
+  pendingHistoryWrites.clear();
+  const db = await openHistoryDatabase();
+  const transaction = db.transaction(HISTORY_STORE_NAME, 'readwrite');
+  const done = idbTransactionDone(transaction);
+  transaction.objectStore(HISTORY_STORE_NAME).clear();
+  await done;
+}
+
+function normalizeHistoryRetention(settings) {
+  const days = Number(settings && settings.historyRetentionDays);
+  const maxEntries = Number(settings && settings.historyMaxEntries);
+  return {
+    days: days > 0 ? days : DEFAULT_HISTORY_RETENTION_DAYS,
+    maxEntries: maxEntries > 0 ? Math.round(maxEntries) : DEFAULT_HISTORY_MAX_ENTRIES
+  };
+}
+
+// Deletes records last seen before the retention window, then the least
+// recently seen ones beyond maxEntries; resolves to the deleted keys
+async function pruneHistoryStore(retention) {
+  await flushHistoryWrites();
+
+  const db = await openHistoryDatabase();
+  const transaction = db.transaction(HISTORY_STORE_NAME, 'readwrite');
+  const done = idbTransactionDone(transaction);
+  const index = transaction.objectStore(HISTORY_STORE_NAME).index('lastSeen');
+  const cutoff = Date.now() - retention.days * 24 * 60 * 60 * 1000;
+  let excess = (await idbRequest(index.count())) - retention.maxEntries;
+  const removed = [];
+
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || (cursor.key >= cutoff && excess <= 0)) {
+        resolve();
+        return;
+      }
+      removed.push(cursor.primaryKey);
+      cursor.delete();
+      excess--;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  await done;
+  return removed;
+}
+
+// Storage schema version 3 (storage-layer.js): the history used to be one
+// object in chrome.storage.local, rewritten in full on every change
+async function migrateHistoryToIndexedDB() {
+  const stored = await chrome.storage.local.get(['cookieHistory']);
+  const entries = Object.entries(stored.cookieHistory || {});
+  if (entries.length > 0) {
+    const db = await openHistoryDatabase();
+    const transaction = db.transaction(HISTORY_STORE_NAME, 'readwrite');
+    const done = idbTransactionDone(transaction);
+    const store = transaction.objectStore(HISTORY_STORE_NAME);
+    for (const [cookieKey, entry] of entries) {
+      store.put({ ...entry, cookieKey: cookieKey });
+    }
+    await done;
+    console.log('Moved', entries.length, 'history entries to IndexedDB');
+  }
+  await chrome.storage.local.remove(['cookieHistory']);
+}
@@ -0,0 +1,248 @@
+// Cross-site identifier syncing
+// Trackers link their IDs across sites by writing the same value into cookies
+// on different domains, or by passing it along in URLs ("cookie matching").
+// Every ID-like token is indexed by its value: those in cookie values (the
+// raw value, its decoded layers from cookie-decoder.js and their delimited
+// segments, so an ID wrapped in Base64 or in a larger value still matches)
+// and those in the query and fragment parameters of navigations. A token
+// found under two or more sites (eTLD+1) is a shared identifier.
+// Navigation tokens are mirrored to chrome.storage.session so they survive a
+// service-worker restart; cookie values come from the cookie history.
+// Loaded by the background service worker (importScripts), after
+// cookie-stores.js, public-suffix.js and cookie-decoder.js.
+
+const ID_SYNC_MIN_LENGTH = 12;
+// Bits per character; timestamps, words and repeated characters stay below it
+const ID_SYNC_MIN_ENTROPY = 3;
+const ID_SYNC_URLS_SESSION_KEY = 'idSyncUrls';
+const ID_SYNC_URLS_SAVE_DELAY = 500;
+const ID_SYNC_URLS_MAX = 500;
+const ID_SYNC_INDEX_TTL = 10000;
+
+// Separators IDs are commonly packed between, e.g. GA1.2.<id>.<time> or a
+// nested URL; a Base64 value is also indexed whole and decoded
+const ID_SYNC_SEPARATORS = /[\s.|:;,&~!*()'"<>{}[\]\/?=#]+/;
+
+let idSyncUrls = [];
+let idSyncUrlsSaveTimer = null;
+// { builtAt, tokens: Map token -> occurrences }
+let idSyncIndex = null;
+
+const idSyncUrlsReady = restoreIdSyncUrls();
+
+async function restoreIdSyncUrls() {
+  try {
+    const stored = await chrome.storage.session.get([ID_SYNC_URLS_SESSION_KEY]);
+    idSyncUrls = [...(stored[ID_SYNC_URLS_SESSION_KEY] || []), ...idSyncUrls].slice(-ID_SYNC_URLS_MAX);
+  } catch (error) {
+    console.error('Error restoring ID sync URLs:', error);
+  }
+}
+
+function saveIdSyncUrls() {
+  clearTimeout(idSyncUrlsSaveTimer);
+  idSyncUrlsSaveTimer = setTimeout(() => {
+    chrome.storage.session.set({ [ID_SYNC_URLS_SESSION_KEY]: idSyncUrls }).catch(error => {
+      console.error('Error saving ID sync URLs:', error);
+    });
+  }, ID_SYNC_URLS_SAVE_DELAY);
+}
+
+function getIdSyncSite(domain) {
+  return getRegistrableDomain(domain) || normalizeHostname(domain);
+}
+
+function invalidateIdSyncIndex() {
+  idSyncIndex = null;
+}
+
+function getShannonEntropy(text) {
+  const counts = {};
+  for (const char of text) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / text.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+}
+
+// Generated IDs are one run of letters, digits and Base64/UUID punctuation
+// and practically always contain a digit; words, slugs, URLs and JSON don't
+function isIdLikeToken(text) {
+  return text.length >= ID_SYNC_MIN_LENGTH &&
+    /^[A-Za-z0-9+\/=_-]+$/.test(text) &&
+    /\d/.test(text) &&
+    getShannonEntropy(text) >= ID_SYNC_MIN_ENTROPY;
+}
+
+// Hex IDs (and UUIDs) are compared case-insensitively
+function normalizeIdToken(text) {
+  return /^[0-9a-f-]+$/i.test(text) ? text.toLowerCase() : text;
+}
+
+// Returns Map token -> derived, where derived is false when the token is the
+// whole value as stored and true when it was decoded or cut out of it
+function extractIdTokens(value) {
+  const tokens = new Map();
+  const add = (text, derived) => {
+    if (!isIdLikeToken(text)) return;
+    const token = normalizeIdToken(text);
+    tokens.set(token, tokens.has(token) ? tokens.get(token) && derived : derived);
+  };
+
+  const raw = value || '';
+  const strings = [raw, ...collectDecodedStrings(decodeCookieValue(raw)).map(entry => entry.text)];
+  for (const text of strings) {
+    add(text, text !== raw);
+    text.split(ID_SYNC_SEPARATORS).forEach(segment => add(segment, true));
+  }
+  return tokens;
+}
+
+// Parameter values of a navigation URL, query and fragment alike
+chrome.webNavigation.onBeforeNavigate.addListener(async (details) => {
+  let url;
+  try {
+    url = new URL(details.url);
+  } catch (error) {
+    return;
+  }
+  if (!/^https?:$/.test(url.protocol)) return;
+
+  const params = [...url.searchParams, ...new URLSearchParams(url.hash.substring(1))];
+  const observations = [];
+  for (const [param, value] of params) {
+    for (const [token, derived] of extractIdTokens(value)) {
+      observations.push({
+        token: token,
+        derived: derived,
+        site: getIdSyncSite(url.hostname),
+        host: url.hostname,
+        param: param,
+        seenAt: Date.now()
+      });
+    }
+  }
+  if (observations.length === 0) return;
+
+  // Like private cookies, private navigations stay out of the regular index;
+  // a tab that can't be looked up (prerendering, closed) is skipped too
+  const tab = await chrome.tabs.get(details.tabId).catch(() => null);
+  if (!tab || tab.incognito) return;
+
+  await idSyncUrlsReady;
+  idSyncUrls.push(...observations);
+  if (idSyncUrls.length > ID_SYNC_URLS_MAX) {
+    idSyncUrls.splice(0, idSyncUrls.length - ID_SYNC_URLS_MAX);
+  }
+  saveIdSyncUrls();
+  invalidateIdSyncIndex();
+});
+
+// history is the cookie history (cookieKey -> entry); only tokens seen under
+// at least two sites are kept. Occurrences:
+//   { kind: 'cookie', site, cookieKey, name, domain, derived }
+//   { kind: 'url', site, host, param, derived }
+function getIdSyncIndex(history) {
+  if (idSyncIndex && Date.now() - idSyncIndex.builtAt < ID_SYNC_INDEX_TTL) {
+    return idSyncIndex.tokens;
+  }
+
+  const tokens = new Map();
+  const add = (token, occurrence) => {
+    if (!tokens.has(token)) tokens.set(token, []);
+    tokens.get(token).push(occurrence);
+  };
+
+  for (const [cookieKey, entry] of history) {
+    // Private windows are kept apart from regular browsing on purpose
+    if (!entry.value || isIncognitoStore(entry.storeId)) continue;
+    for (const [token, derived] of extractIdTokens(entry.value)) {
+      add(token, {
+        kind: 'cookie',
+        site: getIdSyncSite(entry.domain),
+        cookieKey: cookieKey,
+        name: entry.name,
+        domain: entry.domain,
+        derived: derived
+      });
+    }
+  }
+  for (const observation of idSyncUrls) {
+    add(observation.token, {
+      kind: 'url',
+      site: observation.site,
+      host: observation.host,
+      param: observation.param,
+      derived: observation.derived
+    });
+  }
+
+  for (const [token, occurrences] of tokens) {
+    if (new Set(occurrences.map(occurrence => occurrence.site)).size < 2) {
+      tokens.delete(token);
+    }
+  }
+
+  idSyncIndex = { builtAt: Date.now(), tokens: tokens };
+  return tokens;
+}
+
+// The other sites holding an ID from this cookie's value, or null
+function findCookieIdSync(index, cookie) {
+  const site = getIdSyncSite(cookie.domain);
+  const sites = new Set();
+  let identifiers = 0;
+  for (const token of extractIdTokens(cookie.value).keys()) {
+    const occurrences = index.get(token);
+    if (!occurrences) continue;
+    const others = occurrences.filter(occurrence => occurrence.site !== site);
+    if (others.length === 0) continue;
+    identifiers++;
+    others.forEach(occurrence => sites.add(occurrence.site));
+  }
+  return sites.size > 0 ? { sites: [...sites].sort(), identifiers: identifiers } : null;
+}
+
+// Enough of a token to recognise it without repeating the whole ID
+function maskIdToken(token) {
+  return `${token.substring(0, 4)}…${token.substring(token.length - 4)}`;
+}
+
+// "These domains share an identifier" for one site: every shared token with a
+// cookie or URL on the site, and per partner site how many IDs it shares and
+// through what
+function buildIdSyncReport(index, domain) {
+  const site = getIdSyncSite(domain);
+  const identifiers = [];
+  const partners = new Map();
+
+  for (const [token, occurrences] of index) {
+    if (!occurrences.some(occurrence => occurrence.site === site)) continue;
+
+    identifiers.push({
+      token: maskIdToken(token),
+      length: token.length,
+      occurrences: occurrences
+    });
+    for (const occurrence of occurrences) {
+      if (occurrence.site === site) continue;
+      let partner = partners.get(occurrence.site);
+      if (!partner) {
+        partner = { site: occurrence.site, identifiers: new Set(), via: new Set() };
+        partners.set(occurrence.site, partner);
+      }
+      partner.identifiers.add(token);
+      partner.via.add(occurrence.kind);
+    }
+  }
+
+  return {
+    site: site,
+    partners: [...partners.values()]
+      .map(partner => ({ site: partner.site, identifiers: partner.identifiers.size, via: [...partner.via].sort() }))
+      .sort((a, b) => b.identifiers - a.identifiers || a.site.localeCompare(b.site)),
+    identifiers: identifiers
+  };
+}
@@ -0,0 +1,177 @@
+// Network-level cookie blocking with declarativeNetRequest
+// Removing a cookie in cookies.onChanged happens after it was stored, so it has
+// already been sent along and comes back with the next response. Domains
+// blocked as a whole by a rule are compiled into a dynamic rule that strips
+// the Cookie request header and the Set-Cookie response header, but only on
+// third-party requests so the sites themselves keep working. A blocked single
+// cookie gets a narrower rule per domain: Set-Cookie is only stripped from
+// responses that set one of the domain's blocked cookies, so the domain's
+// other cookies keep working (blocking `_ga` on .google.com mustn't break
+// Google sign-in on every site that embeds it). The Cookie request header
+// can't be cut down to single cookies, so a blocked cookie that is still
+// stored is left to onChanged.
+// A zombie cookie (respawn-detector.js) keeps coming back however often it is
+// removed, so once it has respawned repeatedly its whole domain is blocked
+// like a domain rule, marked by `zombieBlocked` on its permission.
+// Loaded by the background service worker (importScripts), after
+// storage-layer.js and cookie-stores.js.
+
+const NETWORK_BLOCK_RULE_ID = 1;
+// Cookie rules take the IDs after it, one per domain
+const NETWORK_BLOCK_COOKIE_RULE_ID = 2;
+const NETWORK_BLOCK_MAX_COOKIE_RULES = 1000;
+const NETWORK_BLOCK_SYNC_DELAY = 500;
+
+let networkBlockedDomains = new Set();
+// domain -> Set of cookie names
+let networkBlockedCookies = new Map();
+let networkBlockSyncTimer = null;
+
+function normalizeBlockDomain(domain) {
+  return (domain || '').trim().replace(/^\./, '').toLowerCase();
+}
+
+// Only block rules for a whole, concrete domain can be expressed as
+// requestDomains; rules that also narrow by name or data type, or use
+// wildcards in the domain, are left to onChanged (per-cookie permissions are
+// compiled by compileNetworkBlockCookies()). The dynamic rule also can't tell regular from incognito
+// requests, so rules scoped to one kind of window are left to onChanged as
+// well, as are rules on the script that wrote a cookie, since requests don't
+// carry that.
+function compileNetworkBlockDomains(storedData) {
+  const domains = new Set();
+
+  for (const rule of storedData.cookieRules || []) {
+    const isConcreteDomain = rule.domainPattern && !/[*?]/.test(rule.domainPattern);
+    const isWholeDomain = !rule.namePattern && !(rule.dataTypes && rule.dataTypes.length > 0) && !rule.scriptPattern;
+    const isAnyScope = !rule.scope || rule.scope === 'any';
+    if (rule.enabled && rule.action === 'block' && isConcreteDomain && isWholeDomain && rule.party !== 'first' && isAnyScope) {
+      domains.add(normalizeBlockDomain(rule.domainPattern));
+    }
+  }
+
+  for (const permission of Object.values(storedData[PERMISSIONS_STORAGE_KEY] || {})) {
+    if (permission && permission.zombieBlocked && permission.blocked && !isIncognitoStore(permission.storeId)) {
+      domains.add(normalizeBlockDomain(permission.cookieDomain));
+    }
+  }
+
+  domains.delete('');
+  return [...domains].sort();
+}
+
+// Blocked per-cookie permissions as Map domain -> sorted names, without the
+// domains blocked as a whole anyway. Private-window permissions are left out
+// like incognito-scoped rules, as are names a header glob can't match exactly.
+function compileNetworkBlockCookies(storedData, blockedDomains) {
+  const cookies = new Map();
+
+  for (const permission of Object.values(storedData[PERMISSIONS_STORAGE_KEY] || {})) {
+    if (!permission || !permission.blocked || permission.action === 'allow') continue;
+    if (isIncognitoStore(permission.storeId) || !permission.cookieName || /[*?]/.test(permission.cookieName)) continue;
+
+    const domain = normalizeBlockDomain(permission.cookieDomain);
+    if (!domain || blockedDomains.some(blocked => domain === blocked || domain.endsWith('.' + blocked))) continue;
+    if (!cookies.has(domain)) cookies.set(domain, new Set());
+    cookies.get(domain).add(permission.cookieName);
+  }
+
+  return new Map([...cookies.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .slice(0, NETWORK_BLOCK_MAX_COOKIE_RULES)
+    .map(([domain, names]) => [domain, [...names].sort()]));
+}
+
+function buildNetworkBlockRule(domains) {
+  return {
+    id: NETWORK_BLOCK_RULE_ID,
+    priority: 1,
+    action: {
+      type: 'modifyHeaders',
+      requestHeaders: [{ header: 'cookie', operation: 'remove' }],
+      responseHeaders: [{ header: 'set-cookie', operation: 'remove' }]
+    },
+    condition: {
+      requestDomains: domains,
+      domainType: 'thirdParty'
+    }
+  };
+}
+
+// Header values are matched as globs (and case-insensitively), so `_ga=*`
+// matches a Set-Cookie line for _ga whatever its value and attributes
+function buildCookieBlockRule(id, domain, names) {
+  return {
+    id: id,
+    priority: 1,
+    action: {
+      type: 'modifyHeaders',
+      responseHeaders: [{ header: 'set-cookie', operation: 'remove' }]
+    },
+    condition: {
+      requestDomains: [domain],
+      domainType: 'thirdParty',
+      responseHeaders: [{ header: 'set-cookie', values: names.map(name => `${name}=*`) }]
+    }
+  };
+}
+
+async function syncNetworkBlockRules() {
+  try {
+    const [settings, rules, permissions] = await Promise.all([
+      readNamespace('settings', ['networkBlocking']),
+      readNamespace('rules'),
+      readNamespace('permissions')
+    ]);
+    const storedData = { ...settings, ...rules, ...permissions };
+    const enabled = storedData.networkBlocking !== false;
+    const domains = enabled ? compileNetworkBlockDomains(storedData) : [];
+    const cookies = enabled ? compileNetworkBlockCookies(storedData, domains) : new Map();
+
+    const domainRules = domains.length > 0 ? [buildNetworkBlockRule(domains)] : [];
+    const cookieRules = [...cookies.entries()].map(([domain, names], index) =>
+      buildCookieBlockRule(NETWORK_BLOCK_COOKIE_RULE_ID + index, domain, names)
+    );
+    const existing = await chrome.declarativeNetRequest.getDynamicRules();
+    const removeRuleIds = existing.map(rule => rule.id);
+
+    try {
+      await chrome.declarativeNetRequest.updateDynamicRules({
+        removeRuleIds: removeRuleIds,
+        addRules: [...domainRules, ...cookieRules]
+      });
+      networkBlockedCookies = new Map(cookies.entries());
+    } catch (error) {
+      // Response header conditions need Chrome 128; keep the domain rule
+      console.error('Error adding cookie block rules, blocking domains only:', error);
+      await chrome.declarativeNetRequest.updateDynamicRules({
+        removeRuleIds: removeRuleIds,
+        addRules: domainRules
+      });
+      networkBlockedCookies = new Map();
+    }
+
+    networkBlockedDomains = new Set(domains);
+    console.log('Network block rules synced:', domains.length, 'domains,', networkBlockedCookies.size, 'cookie rules');
+  } catch (error) {
+    console.error('Error syncing network block rules:', error);
+  }
+}
+
+// Rules are saved from the popup and the setting from the Settings tab, so the
+// rule set follows storage rather than each individual write path
+function scheduleNetworkBlockSync() {
+  clearTimeout(networkBlockSyncTimer);
+  networkBlockSyncTimer = setTimeout(syncNetworkBlockRules, NETWORK_BLOCK_SYNC_DELAY);
+}
+
+function isNetworkBlocked(cookie) {
+  const normalized = normalizeBlockDomain(cookie.domain);
+  for (const blocked of networkBlockedDomains) {
+    if (normalized === blocked || normalized.endsWith('.' + blocked)) {
+      return true;
+    }
+  }
+  const names = networkBlockedCookies.get(normalized);
+  return Boolean(names) && names.includes(cookie.name);
+}
@@ -0,0 +1,190 @@
+// Cookie policy engine
+// Decides what happens to a cookie: explicit per-cookie permissions first
+// (including the "Custom" allowed-data-types semantics), then pattern rules
+// (rule-engine.js), then the per-data-type defaults saved from the Settings tab.
+// Loaded by the background service worker (importScripts) and by the popup.
+
+const POLICY_ALLOW = 'allow';
+const POLICY_FLAG = 'flag';
+const POLICY_RESTRICT = 'restrict';
+const POLICY_BLOCK = 'block';
+
+// What a "Custom" permission does when the cookie carries a data type
+// that the user did not allow
+const CUSTOM_ENFORCE_BLOCK = 'block';
+const CUSTOM_ENFORCE_SESSION = 'session';
+const CUSTOM_ENFORCE_CAP_LIFETIME = 'cap_lifetime';
+const DEFAULT_CUSTOM_ENFORCEMENT = CUSTOM_ENFORCE_SESSION;
+
+// Lifetime used by CUSTOM_ENFORCE_CAP_LIFETIME
+const CUSTOM_LIFETIME_CAP_SECONDS = 24 * 60 * 60;
+
+// Data types that can be configured in the Settings tab
+const POLICY_DATA_TYPES = [
+  'email',
+  'location',
+  'device_info',
+  'browsing_behavior',
+  'social_media_data',
+  'marketing_data'
+];
+
+const POLICY_SEVERITY = {
+  [POLICY_ALLOW]: 0,
+  [POLICY_FLAG]: 1,
+  [POLICY_RESTRICT]: 2,
+  [POLICY_BLOCK]: 3
+};
+
+// Older versions saved booleans (true = allow, false = block)
+function normalizeDefaultPermissions(defaultPermissions) {
+  const policies = {};
+
+  for (const dataType of POLICY_DATA_TYPES) {
+    const value = defaultPermissions ? defaultPermissions[dataType] : undefined;
+
+    if (value === false) {
+      policies[dataType] = POLICY_BLOCK;
+    } else if (value === POLICY_FLAG || value === POLICY_BLOCK) {
+      policies[dataType] = value;
+    } else {
+      policies[dataType] = POLICY_ALLOW;
+    }
+  }
+
+  return policies;
+}
+
+// The strictest policy among the detected data types wins
+function evaluateDefaultPolicy(potentialData, defaultPermissions) {
+  const policies = normalizeDefaultPermissions(defaultPermissions);
+
+  let result = {
+    decision: POLICY_ALLOW,
+    source: 'default_policy',
+    dataType: null,
+    reason: 'Allowed by default policy'
+  };
+
+  for (const dataType of potentialData || []) {
+    const policy = policies[dataType];
+    if (policy && POLICY_SEVERITY[policy] > POLICY_SEVERITY[result.decision]) {
+      result = {
+        decision: policy,
+        source: 'default_policy',
+        dataType: dataType,
+        reason: `${policy === POLICY_BLOCK ? 'Blocked' : 'Flagged'} by default policy: ${dataType.replace(/_/g, ' ')}`
+      };
+    }
+  }
+
+  return result;
+}
+
+// Detected data types that a "Custom" permission does not cover. Types detected
+// after the permission was saved are disallowed too, since the user never saw them.
+function getDisallowedDataTypes(permission, potentialData) {
+  const allowedDataTypes = permission.allowedDataTypes || [];
+  return (potentialData || []).filter(dataType => !allowedDataTypes.includes(dataType));
+}
+
+function evaluateCustomPermission(permission, potentialData, customEnforcement) {
+  const disallowedDataTypes = getDisallowedDataTypes(permission, potentialData);
+  const enforcement = customEnforcement || DEFAULT_CUSTOM_ENFORCEMENT;
+
+  if (disallowedDataTypes.length === 0) {
+    return {
+      decision: POLICY_ALLOW,
+      source: 'permission',
+      dataType: null,
+      reason: 'All detected data types allowed by your custom permission'
+    };
+  }
+
+  const typesText = disallowedDataTypes.map(dataType => dataType.replace(/_/g, ' ')).join(', ');
+
+  if (enforcement === CUSTOM_ENFORCE_BLOCK) {
+    return {
+      decision: POLICY_BLOCK,
+      source: 'permission',
+      dataType: disallowedDataTypes[0],
+      disallowedDataTypes: disallowedDataTypes,
+      reason: `Blocked by custom permission: ${typesText} not allowed`
+    };
+  }
+
+  return {
+    decision: POLICY_RESTRICT,
+    source: 'permission',
+    dataType: disallowedDataTypes[0],
+    disallowedDataTypes: disallowedDataTypes,
+    restriction: enforcement,
+    reason: enforcement === CUSTOM_ENFORCE_CAP_LIFETIME
+      ? `Lifetime capped to 24 hours: ${typesText} not allowed`
+      : `Downgraded to session cookie: ${typesText} not allowed`
+  };
+}
+
+function evaluateRule(rule) {
+  const verbs = { allow: 'Allowed', flag: 'Flagged', block: 'Blocked' };
+  return {
+    decision: rule.action,
+    source: 'rule',
+    dataType: null,
+    ruleId: rule.id,
+    reason: `${verbs[rule.action]} by rule: ${rule.name}`
+  };
+}
+
+// An explicit per-cookie permission always takes precedence, then the matched
+// rule, then the defaults. `settings` holds the stored defaultPermissions and
+// customEnforcement values.
+function resolvePolicyDecision(permission, potentialData, settings, matchedRule) {
+  const { defaultPermissions, customEnforcement } = settings || {};
+
+  if (permission) {
+    if (permission.action === 'custom' && (permission.allowedDataTypes || []).length > 0) {
+      return evaluateCustomPermission(permission, potentialData, customEnforcement);
+    }
+
+    const isBlocking = permission.blocked ||
+      permission.action === 'block' ||
+      (permission.action === 'custom' && (permission.allowedDataTypes || []).length === 0);
+
+    return {
+      decision: isBlocking ? POLICY_BLOCK : POLICY_ALLOW,
+      source: 'permission',
+      dataType: null,
+      reason: isBlocking
+        ? (permission.zombieBlocked ? 'Auto-blocked (respawning cookie)'
+          : permission.autoBlocked ? 'Auto-blocked (high risk)' : 'Blocked by your permission')
+        : 'Allowed by your permission'
+    };
+  }
+
+  if (matchedRule) {
+    return evaluateRule(matchedRule);
+  }
+
+  return evaluateDefaultPolicy(potentialData, defaultPermissions);
+}
+
+// Expiration date a restricted cookie should have, or undefined for a session cookie
+function getRestrictedExpiration(cookie, restriction) {
+  if (restriction === CUSTOM_ENFORCE_CAP_LIFETIME) {
+    const cap = Math.floor(Date.now() / 1000) + CUSTOM_LIFETIME_CAP_SECONDS;
+    return cookie.expirationDate ? Math.min(cookie.expirationDate, cap) : undefined;
+  }
+  return undefined;
+}
+
+// True when the cookie already satisfies the restriction, so re-setting it
+// from the onChanged listener cannot loop
+function isRestrictionSatisfied(cookie, restriction) {
+  if (!cookie.expirationDate) return true;
+  if (restriction === CUSTOM_ENFORCE_CAP_LIFETIME) {
+    // One minute of slack for the time between capping and the change event
+    return cookie.expirationDate <= Math.floor(Date.now() / 1000) + CUSTOM_LIFETIME_CAP_SECONDS + 60;
+  }
+  return false;
+}
@@ -3,16 +3,25 @@ let currentTabUrl = null;
 document.addEventListener('DOMContentLoaded', async function() {
   await loadCurrentTabCookies();
   loadSettings();
+  loadRules();
   setupEventListeners();
   
   // Listen for stats updates from background
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'STATS_UPDATED') {
       displayStats(message.stats);
+    } else if (message.type === 'EXPLANATION_READY') {
+      showExplanation(message.cookieKey, message.explanation);
     }
   });
 });
 
+// Blocked either by an explicit permission or by the default data-type policy
+function isCookieBlocked(cookie) {
+  return Boolean((cookie.permission && cookie.permission.blocked) ||
+    (cookie.policyDecision && cookie.policyDecision.decision === POLICY_BLOCK));
+}
+
 // Detect if cookie is ephemeral (temporary/short-lived)
 function isEphemeralCookie(cookie) {
   const ephemeralPatterns = ['ST-', 'CONSISTENCY', 'GPS', 'YSC'];
@@ -35,8 +44,9 @@ async function loadCurrentTabCookies() {
       currentTabUrl = tab.url;
       const url = new URL(tab.url);
       currentSiteEl.innerHTML = `
-        <strong>${url.hostname}</strong>
-        <div style="font-size: 10px; color: #999; margin-top: 2px;">${url.origin}</div>
+        <strong>${escapeHtml(url.hostname)}</strong>
+        <div style="font-size: 10px; color: #999; margin-top: 2px;">${escapeHtml(url.origin)}</div>
+        ${tab.incognito ? '<div style="font-size: 10px; color: #6f42c1; margin-top: 2px;">🕶️ Private browsing</div>' : ''}
       `;
       
       // Get ALL cookie data from background (includes active, blocked, and removed cookies)
@@ -44,7 +54,9 @@ async function loadCurrentTabCookies() {
       
       const cookiesList = document.getElementById('cookies-list');
       
-      await updateStats();
+      updateStats(response.cookies || []);
+      renderCookieLedger(response.ledger || []);
+      renderIdSyncReport(response.idSync);
       
       if (!response.cookies || response.cookies.length === 0) {
         cookiesList.innerHTML = `
@@ -63,8 +75,8 @@ async function loadCurrentTabCookies() {
       
       // Enhanced sorting logic
       response.cookies.sort((a, b) => {
-        const aBlockedByPermission = a.permission && a.permission.blocked;
-        const bBlockedByPermission = b.permission && b.permission.blocked;
+        const aBlockedByPermission = isCookieBlocked(a);
+        const bBlockedByPermission = isCookieBlocked(b);
         
         const aActive = a.status === 'active' && a.value !== '[BLOCKED/REMOVED]';
         const bActive = b.status === 'active' && b.value !== '[BLOCKED/REMOVED]';
@@ -123,12 +135,95 @@ async function loadCurrentTabCookies() {
   }
 }
 
+function getUrlHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return url || '';
+  }
+}
+
+// attribution is a ledger entry from tab-attribution.js
+function describeCookieSource(attribution) {
+  const frame = attribution.frameId === 0 || !attribution.frameUrl
+    ? 'this page'
+    : `iframe ${getUrlHost(attribution.frameUrl)}`;
+  
+  if (attribution.setBy === 'header') {
+    const resource = attribution.resourceType ? ` (${attribution.resourceType.replace('_', ' ')})` : '';
+    return `Response from ${getUrlHost(attribution.requestUrl)}${resource} in ${frame}`;
+  }
+  if (attribution.scriptUrl) {
+    return `${attribution.scriptUrl} in ${frame}`;
+  }
+  return `Script in ${frame}`;
+}
+
+// Every cookie set or updated while the tab's current page was open,
+// including those of iframes and third-party requests
+function renderCookieLedger(ledger) {
+  const ledgerEl = document.getElementById('cookie-ledger');
+  if (ledger.length === 0) {
+    ledgerEl.innerHTML = '';
+    return;
+  }
+  
+  const thirdPartyCount = ledger.filter(entry => entry.thirdParty).length;
+  ledgerEl.innerHTML = `
+    <details style="font-size: 11px; margin-bottom: 10px; background: #f8f9fa; border-radius: 4px; padding: 6px 8px;">
+      <summary style="cursor: pointer; font-weight: bold;">🧾 Set by this tab (${ledger.length}${thirdPartyCount > 0 ? `, ${thirdPartyCount} third-party` : ''})</summary>
+      ${ledger.map(entry => `
+        <div style="margin-top: 6px; padding-top: 6px; border-top: 1px solid #e9ecef;">
+          <div>
+            <strong>${escapeHtml(entry.name)}</strong>
+            <span style="color: #999;">${escapeHtml(entry.domain)}</span>
+            ${entry.thirdParty ? '<span style="color: #dc3545; font-size: 10px;">third-party</span>' : ''}
+            ${entry.count > 1 ? `<span style="color: #999; font-size: 10px;">×${entry.count}</span>` : ''}
+          </div>
+          <div style="font-size: 10px; color: #666;">${escapeHtml(describeCookieSource(entry))}</div>
+        </div>
+      `).join('')}
+    </details>
+  `;
+}
+
+// Other sites whose cookies or URLs carry an ID also found on this site
+function renderIdSyncReport(report) {
+  const reportEl = document.getElementById('id-sync-report');
+  if (!report || report.partners.length === 0) {
+    reportEl.innerHTML = '';
+    return;
+  }
+  
+  reportEl.innerHTML = `
+    <details style="font-size: 11px; margin-bottom: 10px; background: #fff3cd; border-radius: 4px; padding: 6px 8px;">
+      <summary style="cursor: pointer; font-weight: bold;">🔗 Shares identifiers with ${report.partners.length} other site${report.partners.length === 1 ? '' : 's'}</summary>
+      ${report.partners.map(partner => `
+        <div style="margin-top: 6px; padding-top: 6px; border-top: 1px solid #ffeaa7;">
+          <strong>${escapeHtml(partner.site)}</strong>
+          <span style="color: #666;">${partner.identifiers} ID${partner.identifiers === 1 ? '' : 's'} via ${escapeHtml(partner.via.map(kind => kind === 'url' ? 'URLs' : 'cookies').join(' and '))}</span>
+        </div>
+      `).join('')}
+      ${report.identifiers.map(identifier => `
+        <div style="margin-top: 6px; font-size: 10px; color: #666;">
+          <code>${escapeHtml(identifier.token)}</code> in
+          ${escapeHtml(identifier.occurrences.map(occurrence => occurrence.kind === 'url'
+            ? `${occurrence.host} URL (${occurrence.param})`
+            : `${occurrence.name} on ${occurrence.domain}`).join(', '))}
+        </div>
+      `).join('')}
+    </details>
+  `;
+}
+
 async function createCookieElement(cookie) {
   const div = document.createElement('div');
   div.className = 'cookie-item';
   const checkboxId = cookie.name.replace(/[^a-zA-Z0-9]/g, '-') + '-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
   
-  const isBlockedByPermission = cookie.permission && cookie.permission.blocked;
+  const isBlockedByPermission = isCookieBlocked(cookie);
+  const isBlockedByPolicy = isBlockedByPermission && !cookie.permission;
+  const isFlagged = cookie.policyDecision && cookie.policyDecision.decision === POLICY_FLAG;
   const isCookieActive = cookie.status === 'active' && cookie.value !== '[BLOCKED/REMOVED]';
   
   const isBlocked = isBlockedByPermission && !isCookieActive;
@@ -136,7 +231,7 @@ async function createCookieElement(cookie) {
   const isRemoved = cookie.status === 'removed' && !isBlockedByPermission;
   
   const isEphemeral = isEphemeralCookie(cookie);
-  const isSuspicious = cookie.riskScore >= 3;
+  const isSuspicious = cookie.riskLevel !== RISK_LEVEL_LOW;
   
   if (isBlocked) {
     div.style.opacity = '0.85';
@@ -158,14 +253,79 @@ async function createCookieElement(cookie) {
   const dataTypesHTML = cookie.potentialData && cookie.potentialData.length > 0 
     ? cookie.potentialData.map(dt => dt.replace(/_/g, ' ')).join(', ')
     : '<em style="color: #999;">No specific data types detected</em>';
+  
+  const bestFindings = Object.values(summarizeFindings(cookie.dataFindings));
+  const findingsHTML = bestFindings.length > 0 ? `
+    <details style="font-size: 10px; margin-top: 4px;">
+      <summary style="cursor: pointer; color: #007bff;">Why these data types?</summary>
+      ${bestFindings.map(finding => `
+        <div style="margin-top: 3px;${finding.confidence < DETECTION_MIN_CONFIDENCE ? ' opacity: 0.6;' : ''}">
+          <strong>${finding.dataType.replace(/_/g, ' ')}</strong>: ${escapeHtml(finding.label)}
+          in ${escapeHtml(finding.evidence.field)} <code>${escapeHtml(finding.evidence.text)}</code>
+          (${Math.round(finding.confidence * 100)}% confidence${finding.confidence < DETECTION_MIN_CONFIDENCE ? ', not counted' : ''})
+        </div>
+      `).join('')}
+    </details>
+  ` : '';
+
+  const riskFactors = cookie.riskFactors || [];
+  const riskBreakdownHTML = riskFactors.length > 0 ? `
+    <details style="font-size: 10px; margin-top: 4px;">
+      <summary style="cursor: pointer; color: #007bff;">Why ${cookie.riskLevel.toUpperCase()}? (score ${cookie.riskScore})</summary>
+      ${riskFactors.map(factor => `
+        <div style="margin-top: 3px; display: flex; gap: 6px;">
+          <strong style="flex: 0 0 auto; color: ${factor.points > 0 ? '#dc3545' : '#28a745'};">${factor.points > 0 ? '+' : ''}${factor.points}</strong>
+          <span>${escapeHtml(factor.label)}<span style="color: #999;"> — ${escapeHtml(factor.evidence)}</span></span>
+        </div>
+      `).join('')}
+    </details>
+  ` : '';
+
+  const tracker = cookie.tracker;
+  let trackerHTML = '';
+  if (tracker) {
+    const category = tracker.category ? ` · ${tracker.category.charAt(0).toUpperCase() + tracker.category.slice(1)}` : '';
+    trackerHTML = `
+      <div><strong>Owner:</strong> ${escapeHtml(tracker.entity || 'Unknown company')}${category}</div>
+      ${tracker.purpose ? `<div><strong>Purpose:</strong> ${escapeHtml(tracker.purpose)}</div>` : ''}
+    `;
+  }
+
+  // Without a ledger entry (set on an earlier page) history may still know the script
+  const source = cookie.attribution ? describeCookieSource(cookie.attribution) : cookie.scriptUrl;
+  const sourceHTML = source
+    ? `<div><strong>Set by:</strong> ${escapeHtml(source)}</div>`
+    : '';
+
+  let documentedLifetimeHTML = '';
+  if (tracker && tracker.lifetime) {
+    // Allow a day of slack for rounding in the documented figure
+    const outlivesDocumented = isCookieActive && cookie.expirationDate &&
+      cookie.expirationDate - Date.now() / 1000 > (tracker.lifetimeDays + 1) * 86400;
+    documentedLifetimeHTML = ` <span style="color: ${outlivesDocumented ? '#dc3545' : '#999'};" title="${outlivesDocumented ? 'Set to live longer than its documented lifetime' : 'Lifetime documented by the vendor'}">(documented: ${escapeHtml(tracker.lifetime)}${outlivesDocumented ? ' ⚠️' : ''})</span>`;
+  }
+
+  const decodingChain = cookie.decodedValue ? describeDecodingChain(cookie.decodedValue) : '';
+  const decodedValueHTML = decodingChain ? `
+    <details style="font-size: 10px; margin-top: 4px;">
+      <summary style="cursor: pointer; color: #007bff;">🔍 Decoded value (${escapeHtml(decodingChain)})</summary>
+      <div style="background: #f8f9fa; border-radius: 4px; padding: 6px 8px; margin-top: 4px; max-height: 200px; overflow: auto;">
+        ${cookie.decodedValue.children.map(renderDecodedNode).join('')}
+      </div>
+    </details>
+  ` : '';
 
   let statusHTML = '';
   if (isBlocked) {
-    const blockedReason = cookie.autoBlocked ? ' (Auto-blocked)' : '';
+    let blockedReason = cookie.autoBlocked ? ' (Auto-blocked)' : '';
+    if (isBlockedByPolicy || (cookie.policyDecision && cookie.policyDecision.disallowedDataTypes)) {
+      blockedReason = ` (${escapeHtml(cookie.policyDecision.reason)})`;
+    }
     const blockedTime = cookie.blockedAt ? ` at ${new Date(cookie.blockedAt).toLocaleString()}` : '';
     statusHTML = `<div style="background: #f8d7da; color: #721c24; padding: 8px 12px; border-radius: 4px; font-size: 11px; margin-top: 8px; font-weight: bold;">
       🚫 BLOCKED${blockedReason} - Cookie Removed from Browser
       ${blockedTime ? `<div style="font-size: 9px; margin-top: 4px; font-weight: normal;">${blockedTime}</div>` : ''}
+      ${cookie.networkBlocked ? '<div style="font-size: 9px; margin-top: 4px; font-weight: normal;">🛡️ Also blocked at the network level on third-party requests</div>' : ''}
     </div>`;
   } else if (isUnblockedButNotSet) {
     statusHTML = `<div style="background: #fff3cd; color: #856404; padding: 8px 12px; border-radius: 4px; font-size: 11px; margin-top: 8px; font-weight: bold;">
@@ -178,12 +338,17 @@ async function createCookieElement(cookie) {
     } else {
       statusHTML = '<div style="background: #e2e3e5; color: #383d41; padding: 6px 10px; border-radius: 4px; font-size: 11px; margin-top: 8px;">ℹ️ Cookie No Longer Active</div>';
     }
+  } else if (isFlagged && isCookieActive) {
+    statusHTML = `<div style="background: #fff3cd; color: #856404; padding: 6px 10px; border-radius: 4px; font-size: 11px; margin-top: 8px;">🚩 ${escapeHtml(cookie.policyDecision.reason)}</div>`;
   } else if (cookie.permission) {
     const action = cookie.permission.action;
     if (action === 'allow') {
       statusHTML = '<div style="background: #d4edda; color: #155724; padding: 6px 10px; border-radius: 4px; font-size: 11px; margin-top: 8px;">✅ Currently Allowed</div>';
     } else if (action === 'custom') {
-      statusHTML = `<div style="background: #d1ecf1; color: #0c5460; padding: 6px 10px; border-radius: 4px; font-size: 11px; margin-top: 8px;">⚙️ Custom (${cookie.permission.allowedDataTypes.length} types allowed)</div>`;
+      const isRestricted = cookie.policyDecision && cookie.policyDecision.decision === POLICY_RESTRICT;
+      statusHTML = `<div style="background: #d1ecf1; color: #0c5460; padding: 6px 10px; border-radius: 4px; font-size: 11px; margin-top: 8px;">⚙️ Custom (${(cookie.permission.allowedDataTypes || []).length} types allowed)
+        ${isRestricted ? `<div style="font-size: 10px; margin-top: 4px;">${escapeHtml(cookie.policyDecision.reason)}</div>` : ''}
+      </div>`;
     }
   }
 
@@ -248,26 +413,17 @@ async function createCookieElement(cookie) {
   // AI Explanation Section (NEW!)
   let aiExplanationHTML = '';
   if (cookie.aiExplanation) {
-    aiExplanationHTML = `
-      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 10px 12px; border-radius: 6px; font-size: 11px; margin-top: 10px; line-height: 1.5; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-        <div style="display: flex; align-items: center; margin-bottom: 6px;">
-          <span style="font-size: 16px; margin-right: 6px;">🤖</span>
-          <strong style="font-size: 12px;">AI Explains:</strong>
-        </div>
-        <div style="font-size: 11px; opacity: 0.95;">
-          ${cookie.aiExplanation}
-        </div>
-      </div>
-    `;
+    aiExplanationHTML = renderExplanationHTML(cookie.aiExplanation, '');
   } else {
-    // Show loading state
+    // Show loading state until the background queue sends EXPLANATION_READY
     aiExplanationHTML = `
-      <div id="ai-loading-${checkboxId}" style="background: #f0f0f0; color: #666; padding: 8px 12px; border-radius: 6px; font-size: 11px; margin-top: 10px; text-align: center;">
+      <div style="background: #f0f0f0; color: #666; padding: 8px 12px; border-radius: 6px; font-size: 11px; margin-top: 10px; text-align: center;">
         <span style="animation: spin 1s linear infinite; display: inline-block;">🤖</span>
         <span style="margin-left: 6px;">AI is analyzing this cookie...</span>
       </div>
     `;
   }
+  aiExplanationHTML = `<div class="ai-explanation" data-explanation-key="${escapeHtml(getExplanationKey(cookie))}">${aiExplanationHTML}</div>`;
 
   let customButtonExplanation = '';
   if (isCookieActive && cookie.potentialData && cookie.potentialData.length > 0) {
@@ -296,8 +452,8 @@ async function createCookieElement(cookie) {
 
   div.innerHTML = `
     <div class="cookie-header">
-      <span class="cookie-name" title="${cookie.name}">
-        ${statusIcon} ${truncateText(cookie.name, 25)}
+      <span class="cookie-name" title="${escapeHtml(cookie.name)}">
+        ${statusIcon} ${escapeHtml(truncateText(cookie.name, 25))}
       </span>
       <div style="display: flex; align-items: center; flex-wrap: wrap; gap: 4px;">
         <span class="risk-${cookie.riskLevel}">
@@ -308,10 +464,15 @@ async function createCookieElement(cookie) {
       </div>
     </div>
     <div class="data-types">
-      <div><strong>Domain:</strong> ${cookie.domain}</div>
-      <div><strong>Expires:</strong> ${getExpirationText(cookie)}</div>
+      <div><strong>Domain:</strong> ${escapeHtml(cookie.domain)}</div>
+      ${trackerHTML}
+      ${sourceHTML}
+      <div><strong>Expires:</strong> ${getExpirationText(cookie)}${documentedLifetimeHTML}</div>
       <div><strong>Status:</strong> ${statusText}</div>
       <div><strong>May collect:</strong> ${dataTypesHTML}</div>
+      ${riskBreakdownHTML}
+      ${findingsHTML}
+      ${decodedValueHTML}
       ${statusHTML}
       ${aiExplanationHTML}
       ${customButtonExplanation}
@@ -321,7 +482,7 @@ async function createCookieElement(cookie) {
       <div class="checkbox-group" id="checkboxes-${checkboxId}">
         ${cookie.potentialData.map(dataType => `
           <div class="checkbox-item">
-            <input type="checkbox" id="${checkboxId}-${dataType}" data-type="${dataType}" ${cookie.permission && cookie.permission.allowedDataTypes.includes(dataType) ? 'checked' : 'checked'}>
+            <input type="checkbox" id="${checkboxId}-${dataType}" data-type="${dataType}" ${!cookie.permission || cookie.permission.action !== 'custom' || cookie.permission.allowedDataTypes.includes(dataType) ? 'checked' : ''}>
             <label for="${checkboxId}-${dataType}">Allow ${dataType.replace(/_/g, ' ')}</label>
           </div>
         `).join('')}
@@ -347,31 +508,6 @@ async function createCookieElement(cookie) {
     </div>
   `;
   
-  // If AI explanation is not yet loaded, fetch it
-  if (!cookie.aiExplanation) {
-    chrome.runtime.sendMessage({
-      type: 'GET_AI_EXPLANATION',
-      cookie: cookie
-    }, (response) => {
-      if (response && response.explanation) {
-        const loadingEl = document.getElementById(`ai-loading-${checkboxId}`);
-        if (loadingEl) {
-          loadingEl.outerHTML = `
-            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 10px 12px; border-radius: 6px; font-size: 11px; margin-top: 10px; line-height: 1.5; box-shadow: 0 2px 4px rgba(0,0,0,0.1); animation: fadeIn 0.5s;">
-              <div style="display: flex; align-items: center; margin-bottom: 6px;">
-                <span style="font-size: 16px; margin-right: 6px;">🤖</span>
-                <strong style="font-size: 12px;">AI Explains:</strong>
-              </div>
-              <div style="font-size: 11px; opacity: 0.95;">
-                ${response.explanation}
-              </div>
-            </div>
-          `;
-        }
-      }
-    });
-  }
-  
   div.dataset.cookieData = JSON.stringify(cookie);
   
   const allowBtn = div.querySelector('.allow-btn');
@@ -415,7 +551,21 @@ async function createCookieElement(cookie) {
 }
 
 async function handleUnblock(cookie) {
-  const permissionKey = `cookie_${cookie.name}_${cookie.domain}`;
+  const permissionKey = getPermissionKey(cookie);
+  
+  // Removing the permission is not enough when a rule or the default policy is what blocks it
+  const unblockCookie = async () => {
+    if (!cookie.permission) {
+      await chrome.runtime.sendMessage({
+        type: 'UPDATE_COOKIE_PERMISSIONS',
+        cookie: cookie,
+        allowedDataTypes: cookie.potentialData || [],
+        action: 'allow'
+      });
+    } else {
+      await chrome.runtime.sendMessage({ type: 'REMOVE_COOKIE_PERMISSIONS', permissionKeys: [permissionKey] });
+    }
+  };
   
   const modal = document.createElement('div');
   modal.id = 'unblock-modal';
@@ -438,7 +588,7 @@ async function handleUnblock(cookie) {
         🔓 Unblock Cookie
       </div>
       <div style="font-size: 13px; color: #666; margin-bottom: 16px; line-height: 1.5;">
-        <strong style="color: #007bff;">${cookie.name}</strong> will be unblocked.
+        <strong style="color: #007bff;">${escapeHtml(cookie.name)}</strong> will be unblocked.
         <br><br>
         <strong>What would you like to do?</strong>
       </div>
@@ -462,9 +612,9 @@ async function handleUnblock(cookie) {
   
   document.getElementById('unblock-refresh-btn').addEventListener('click', async () => {
     modal.remove();
-    await chrome.storage.sync.remove([permissionKey]);
+    await unblockCookie();
     showToast(`🔓 Unblocked ${cookie.name}. Refreshing page...`, 'success');
-    await updateStats();
+    await loadCurrentTabCookies();
     setTimeout(async () => {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (tab && tab.id) {
@@ -475,10 +625,9 @@ async function handleUnblock(cookie) {
   
   document.getElementById('unblock-only-btn').addEventListener('click', async () => {
     modal.remove();
-    await chrome.storage.sync.remove([permissionKey]);
+    await unblockCookie();
     showToast(`🔓 Unblocked ${cookie.name}. Cookie will be allowed on next page load.`, 'success');
     setTimeout(async () => {
-      await updateStats();
       await loadCurrentTabCookies();
     }, 300);
   });
@@ -505,14 +654,7 @@ async function handleCookieAction(cookie, action, checkboxId) {
     showToast(`❌ Blocked ${cookie.name}. Cookie removed from browser.`, 'error');
     
     try {
-      const protocol = cookie.secure ? 'https:' : 'http:';
-      const domain = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
-      const url = `${protocol}//${domain}${cookie.path || '/'}`;
-      
-      await chrome.cookies.remove({
-        url: url,
-        name: cookie.name
-      });
+      await chrome.cookies.remove(getCookieRemovalDetails(cookie));
       console.log('Cookie removed:', cookie.name);
     } catch (error) {
       console.error('Error removing cookie:', error);
@@ -527,14 +669,7 @@ async function handleCookieAction(cookie, action, checkboxId) {
     
     if (dataTypesToAllow.length === 0) {
       try {
-        const protocol = cookie.secure ? 'https:' : 'http:';
-        const domain = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
-        const url = `${protocol}//${domain}${cookie.path || '/'}`;
-        
-        await chrome.cookies.remove({
-          url: url,
-          name: cookie.name
-        });
+        await chrome.cookies.remove(getCookieRemovalDetails(cookie));
         
         showToast(`❌ No data types selected. Cookie blocked.`, 'error');
       } catch (error) {
@@ -545,15 +680,17 @@ async function handleCookieAction(cookie, action, checkboxId) {
     }
   }
   
-  await chrome.runtime.sendMessage({
+  const response = await chrome.runtime.sendMessage({
     type: 'UPDATE_COOKIE_PERMISSIONS',
     cookie: cookie,
     allowedDataTypes: dataTypesToAllow,
     action: action
   });
+  if (response && !response.success) {
+    showToast(`❌ Could not save permission: ${response.error}`, 'error');
+  }
   
   setTimeout(async () => {
-    await updateStats();
     await loadCurrentTabCookies();
   }, 300);
 }
@@ -570,65 +707,288 @@ function setupEventListeners() {
   });
   
   document.getElementById('save-settings').addEventListener('click', saveSettings);
+  document.getElementById('add-rule').addEventListener('click', addRule);
+  document.getElementById('reset-risk').addEventListener('click', resetRiskSettings);
+  document.getElementById('ai-provider').addEventListener('change', updateAIProviderFields);
   document.getElementById('clear-data').addEventListener('click', clearData);
   document.getElementById('export-data').addEventListener('click', exportData);
+  document.getElementById('open-dashboard').addEventListener('click', () => chrome.runtime.openOptionsPage());
+  document.getElementById('open-side-panel').addEventListener('click', openSidePanel);
+}
+
+// Opened for the window rather than the tab, so it stays open while browsing
+async function openSidePanel() {
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    await chrome.sidePanel.open({ windowId: currentWindow.id });
+    window.close();
+  } catch (error) {
+    console.error('Error opening side panel:', error);
+    showToast('❌ Could not open the side panel', 'error');
+  }
 }
 
 function loadSettings() {
-  chrome.storage.sync.get([
+  readNamespace('settings', [
     'autoBlockHighRisk',
     'showNotifications',
-    'defaultPermissions'
-  ], (result) => {
+    'networkBlocking',
+    'incognitoHistoryInMemory',
+    'historyRetentionDays',
+    'historyMaxEntries',
+    'badgeCount',
+    'defaultPermissions',
+    'customEnforcement',
+    'riskWeights',
+    'riskThresholds',
+    'aiProvider'
+  ]).then((result) => {
     document.getElementById('auto-block-high-risk').checked = result.autoBlockHighRisk || false;
     document.getElementById('show-notifications').checked = result.showNotifications !== false;
+    document.getElementById('network-blocking').checked = result.networkBlocking !== false;
+    document.getElementById('incognito-history-in-memory').checked = result.incognitoHistoryInMemory !== false;
+    document.getElementById('history-retention-days').value = result.historyRetentionDays || DEFAULT_HISTORY_RETENTION_DAYS;
+    document.getElementById('history-max-entries').value = result.historyMaxEntries || DEFAULT_HISTORY_MAX_ENTRIES;
+    document.getElementById('badge-count').value = normalizeBadgeCount(result.badgeCount);
+    document.getElementById('custom-enforcement').value = result.customEnforcement || DEFAULT_CUSTOM_ENFORCEMENT;
     
-    const defaultPermissions = result.defaultPermissions || {
-      email: true,
-      location: true,
-      device_info: true,
-      browsing_behavior: true,
-      social_media_data: true,
-      marketing_data: true
-    };
+    const defaultPermissions = normalizeDefaultPermissions(result.defaultPermissions);
+    
+    for (const dataType of POLICY_DATA_TYPES) {
+      document.getElementById(`policy-${dataType}`).value = defaultPermissions[dataType];
+    }
+    
+    renderRiskSettings(result.riskWeights, result.riskThresholds);
     
-    document.getElementById('allow-email').checked = defaultPermissions.email !== false;
-    document.getElementById('allow-location').checked = defaultPermissions.location !== false;
-    document.getElementById('allow-device').checked = defaultPermissions.device_info !== false;
-    document.getElementById('allow-behavior').checked = defaultPermissions.browsing_behavior !== false;
-    document.getElementById('allow-social').checked = defaultPermissions.social_media_data !== false;
-    document.getElementById('allow-marketing').checked = defaultPermissions.marketing_data !== false;
+    const aiProvider = result.aiProvider || {};
+    document.getElementById('ai-provider').value = aiProvider.type || 'template';
+    document.getElementById('ai-endpoint').value = aiProvider.endpoint || '';
+    document.getElementById('ai-model').value = aiProvider.model || '';
+    document.getElementById('ai-timeout').value = Math.round((aiProvider.timeoutMs || 15000) / 1000);
+    updateAIProviderFields();
+  });
+  
+  chrome.storage.local.get(['aiProviderApiKey'], (result) => {
+    document.getElementById('ai-api-key').value = result.aiProviderApiKey || '';
   });
+  
+  renderStorageUsage();
+}
+
+async function renderStorageUsage() {
+  const usageEl = document.getElementById('storage-usage');
+  try {
+    const [usage, meta] = await Promise.all([getSyncQuotaUsage(), loadStorageMeta()]);
+    const movedNamespaces = Object.keys(meta.fallback || {});
+    usageEl.innerHTML = `
+      💾 Sync storage: ${(usage.bytesInUse / 1024).toFixed(1)} KB of ${usage.quotaBytes / 1024} KB, ${usage.items} of ${usage.maxItems} items
+      ${usage.nearLimit ? '<div style="color: #dc3545;">⚠️ Sync storage is nearly full</div>' : ''}
+      ${movedNamespaces.length > 0 ? `<div>Kept on this device only (sync was full): ${movedNamespaces.join(', ')}</div>` : ''}
+    `;
+  } catch (error) {
+    console.error('Error reading storage usage:', error);
+    usageEl.textContent = '';
+  }
+}
+
+function updateAIProviderFields() {
+  const isRemote = document.getElementById('ai-provider').value !== 'template';
+  document.getElementById('ai-remote-settings').style.display = isRemote ? 'block' : 'none';
+}
+
+function renderRiskSettings(weights, thresholds) {
+  const riskWeights = normalizeRiskWeights(weights);
+  const riskThresholds = normalizeRiskThresholds(thresholds);
+  
+  document.getElementById('risk-weights').innerHTML = RISK_FACTORS.map(factor => `
+    <div class="policy-item" title="${factor.description}">
+      <label for="risk-weight-${factor.id}">${factor.label}</label>
+      <input type="number" id="risk-weight-${factor.id}" data-factor="${factor.id}" value="${riskWeights[factor.id]}" step="0.5" min="-10" max="10">
+    </div>
+  `).join('');
+  document.getElementById('risk-threshold-medium').value = riskThresholds.medium;
+  document.getElementById('risk-threshold-high').value = riskThresholds.high;
+}
+
+function resetRiskSettings() {
+  renderRiskSettings(null, null);
+  showToast('↺ Risk weights reset to defaults - click Save to apply', 'info');
 }
 
 function saveSettings() {
+  const riskWeights = {};
+  for (const factor of RISK_FACTORS) {
+    riskWeights[factor.id] = parseFloat(document.getElementById(`risk-weight-${factor.id}`).value);
+  }
+  const riskThresholds = normalizeRiskThresholds({
+    medium: parseFloat(document.getElementById('risk-threshold-medium').value),
+    high: parseFloat(document.getElementById('risk-threshold-high').value)
+  });
+  
+  const defaultPermissions = {};
+  for (const dataType of POLICY_DATA_TYPES) {
+    defaultPermissions[dataType] = document.getElementById(`policy-${dataType}`).value;
+  }
+  
   const settings = {
     autoBlockHighRisk: document.getElementById('auto-block-high-risk').checked,
     showNotifications: document.getElementById('show-notifications').checked,
-    defaultPermissions: {
-      email: document.getElementById('allow-email').checked,
-      location: document.getElementById('allow-location').checked,
-      device_info: document.getElementById('allow-device').checked,
-      browsing_behavior: document.getElementById('allow-behavior').checked,
-      social_media_data: document.getElementById('allow-social').checked,
-      marketing_data: document.getElementById('allow-marketing').checked
+    networkBlocking: document.getElementById('network-blocking').checked,
+    incognitoHistoryInMemory: document.getElementById('incognito-history-in-memory').checked,
+    historyRetentionDays: parseInt(document.getElementById('history-retention-days').value, 10) || DEFAULT_HISTORY_RETENTION_DAYS,
+    historyMaxEntries: parseInt(document.getElementById('history-max-entries').value, 10) || DEFAULT_HISTORY_MAX_ENTRIES,
+    badgeCount: document.getElementById('badge-count').value,
+    defaultPermissions: defaultPermissions,
+    customEnforcement: document.getElementById('custom-enforcement').value,
+    riskWeights: normalizeRiskWeights(riskWeights),
+    riskThresholds: riskThresholds,
+    aiProvider: {
+      type: document.getElementById('ai-provider').value,
+      endpoint: document.getElementById('ai-endpoint').value.trim(),
+      model: document.getElementById('ai-model').value.trim(),
+      timeoutMs: (parseFloat(document.getElementById('ai-timeout').value) || 15) * 1000
     }
   };
   
-  chrome.storage.sync.set(settings, () => {
-    showToast('✅ Settings saved successfully!', 'success');
+  // The API key is kept out of sync storage so it stays on this device
+  chrome.storage.local.set({ aiProviderApiKey: document.getElementById('ai-api-key').value.trim() });
+  
+  writeNamespace('settings', settings)
+    .then(() => {
+      showToast('✅ Settings saved successfully!', 'success');
+      renderStorageUsage();
+    })
+    .catch(error => {
+      showToast(`❌ Could not save settings: ${error.message}`, 'error');
+    });
+}
+
+let cookieRules = [];
+
+function loadRules() {
+  const dataTypesEl = document.getElementById('rule-data-types');
+  dataTypesEl.innerHTML = COOKIE_DATA_TYPES.map(dataType => `
+    <div class="checkbox-item">
+      <input type="checkbox" id="rule-type-${dataType}" data-type="${dataType}">
+      <label for="rule-type-${dataType}">${dataType.replace(/_/g, ' ')}</label>
+    </div>
+  `).join('');
+  
+  readNamespace('rules', ['cookieRules']).then((result) => {
+    cookieRules = result.cookieRules || [];
+    renderRules();
+  });
+}
+
+function renderRules() {
+  const rulesList = document.getElementById('rules-list');
+  rulesList.innerHTML = '';
+  
+  if (cookieRules.length === 0) {
+    rulesList.innerHTML = '<div class="setting-item" style="font-size: 11px; color: #999; text-align: center;">No rules yet</div>';
+    return;
+  }
+  
+  const actionIcons = { allow: '✅', flag: '🚩', block: '❌' };
+  const sortedRules = [...cookieRules].sort(compareRulePrecedence);
+  
+  for (const rule of sortedRules) {
+    const item = document.createElement('div');
+    item.className = rule.enabled ? 'rule-item' : 'rule-item disabled';
+    
+    const info = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = `${actionIcons[rule.action]} ${rule.name}`;
+    const details = document.createElement('div');
+    details.style.cssText = 'font-size: 10px; color: #999; margin-top: 2px;';
+    details.textContent = `${describeRule(rule)} · priority ${rule.priority}`;
+    info.appendChild(title);
+    info.appendChild(details);
+    
+    const toggleBtn = document.createElement('button');
+    toggleBtn.style.background = '#6c757d';
+    toggleBtn.style.color = 'white';
+    toggleBtn.textContent = rule.enabled ? 'Disable' : 'Enable';
+    toggleBtn.addEventListener('click', () => {
+      saveRules(cookieRules.map(r => r.id === rule.id ? { ...r, enabled: !r.enabled } : r));
+    });
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'block-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => {
+      saveRules(cookieRules.filter(r => r.id !== rule.id));
+    });
+    
+    item.appendChild(info);
+    item.appendChild(toggleBtn);
+    item.appendChild(deleteBtn);
+    rulesList.appendChild(item);
+  }
+}
+
+async function saveRules(rules) {
+  const response = await chrome.runtime.sendMessage({ type: 'UPDATE_COOKIE_RULES', rules: rules });
+  
+  if (!response || !response.success) {
+    showToast(`❌ ${response ? response.error : 'Could not save rules'}`, 'error');
+    return false;
+  }
+  
+  cookieRules = response.rules;
+  renderRules();
+  await loadCurrentTabCookies();
+  return true;
+}
+
+async function addRule() {
+  const dataTypes = [];
+  document.querySelectorAll('#rule-data-types input[type="checkbox"]').forEach(checkbox => {
+    if (checkbox.checked) {
+      dataTypes.push(checkbox.dataset.type);
+    }
+  });
+  
+  const rule = createRule({
+    namePattern: document.getElementById('rule-name-pattern').value,
+    nameMatch: document.getElementById('rule-name-match').value,
+    domainPattern: document.getElementById('rule-domain-pattern').value,
+    scriptPattern: document.getElementById('rule-script-pattern').value,
+    party: document.getElementById('rule-party').value,
+    scope: document.getElementById('rule-scope').value,
+    dataTypes: dataTypes,
+    action: document.getElementById('rule-action').value,
+    priority: document.getElementById('rule-priority').value
   });
+  
+  const error = validateRule(rule);
+  if (error) {
+    showToast(`❌ ${error}`, 'error');
+    return;
+  }
+  
+  if (await saveRules([...cookieRules, rule])) {
+    document.getElementById('rule-name-pattern').value = '';
+    document.getElementById('rule-domain-pattern').value = '';
+    document.getElementById('rule-script-pattern').value = '';
+    document.getElementById('rule-priority').value = '0';
+    document.querySelectorAll('#rule-data-types input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = false;
+    });
+    showToast(`📋 Rule added: ${rule.name}`, 'success');
+  }
 }
 
 function clearData() {
-  if (confirm('Are you sure you want to clear all cookie permissions and settings? This will not delete the actual cookies, only your preferences.')) {
-    chrome.storage.sync.clear(async () => {
-      chrome.storage.local.remove(['cookieHistory', 'cookieExplanations'], async () => {
-        showToast('✅ All preferences and history cleared successfully!', 'success');
-        loadSettings();
-        await updateStats();
-        await loadCurrentTabCookies();
-      });
+  if (confirm('Are you sure you want to clear all cookie permissions and history? Your settings and rules are kept, and the actual cookies are not deleted.')) {
+    chrome.runtime.sendMessage({ type: 'CLEAR_COOKIE_DATA' }, async (response) => {
+      if (!response || !response.success) {
+        showToast(`❌ ${response ? response.error : 'Could not clear data'}`, 'error');
+        return;
+      }
+      showToast('✅ Permissions and history cleared successfully!', 'success');
+      renderStorageUsage();
+      await loadCurrentTabCookies();
     });
   }
 }
@@ -658,6 +1018,7 @@ async function exportData() {
       },
       statistics: response.stats,
       cookies: response.cookies,
+      idSync: response.idSync,
       userPermissions: response.permissions,
       settings: response.settings
     };
@@ -681,48 +1042,11 @@ async function exportData() {
   }
 }
 
-async function updateStats() {
-  try {
-    if (!currentTabUrl) return;
-    
-    const response = await chrome.runtime.sendMessage({ type: 'GET_ALL_COOKIE_DATA' });
-    
-    if (response.cookies) {
-      let suspiciousCount = 0;
-      let blockedCount = 0;
-      let allowedCount = 0;
-      
-      for (const cookie of response.cookies) {
-        if (cookie.riskScore >= 3) {
-          suspiciousCount++;
-        }
-        
-        const isBlocked = cookie.permission && cookie.permission.blocked && cookie.value === '[BLOCKED/REMOVED]';
-        if (isBlocked) {
-          blockedCount++;
-        }
-        
-        if (cookie.permission) {
-          if (cookie.permission.action === 'allow') {
-            allowedCount++;
-          } else if (cookie.permission.action === 'custom' && cookie.permission.allowedDataTypes.length > 0) {
-            allowedCount++;
-          }
-        }
-      }
-      
-      const stats = {
-        total: response.cookies.length,
-        suspicious: suspiciousCount,
-        blocked: blockedCount,
-        allowed: allowedCount
-      };
-      
-      displayStats(stats);
-    }
-  } catch (error) {
-    console.error('Error updating stats:', error);
-  }
+// Counts for the header, from the cookies loadCurrentTabCookies() fetched, so
+// the background doesn't build and score them all a second time. Counted like
+// the badge (toolbar-badge.js), so STATS_UPDATED doesn't change them.
+function updateStats(cookies) {
+  displayStats(countCookieRecords(cookies));
 }
 
 function displayStats(stats) {
@@ -731,12 +1055,90 @@ function displayStats(stats) {
   document.getElementById('blocked-cookies').textContent = stats.blocked || 0;
 }
 
+const JWT_DATE_CLAIMS = ['exp', 'iat', 'nbf', 'auth_time'];
+
+// Renders one layer of the tree returned by decodeCookieValue()
+function renderDecodedNode(node) {
+  const preStyle = 'margin: 2px 0; white-space: pre-wrap; word-break: break-all; font-size: 10px;';
+  const childrenHTML = (node.children || []).map(renderDecodedNode).join('');
+  
+  if (node.encoding === 'jwt') {
+    const dateClaims = JWT_DATE_CLAIMS
+      .filter(claim => typeof node.claims[claim] === 'number')
+      .map(claim => `<div><strong>${claim}</strong>: ${escapeHtml(new Date(node.claims[claim] * 1000).toLocaleString())}</div>`)
+      .join('');
+    return `
+      <div><strong>JWT header</strong></div>
+      <pre style="${preStyle}">${escapeHtml(JSON.stringify(node.header, null, 2))}</pre>
+      <div><strong>JWT claims</strong></div>
+      <pre style="${preStyle}">${escapeHtml(JSON.stringify(node.claims, null, 2))}</pre>
+      ${dateClaims}
+    `;
+  }
+  
+  if (node.encoding === 'json') {
+    return `
+      <pre style="${preStyle}">${escapeHtml(JSON.stringify(node.data, null, 2))}</pre>
+      ${childrenHTML ? `<div style="margin-left: 8px;">${childrenHTML}</div>` : ''}
+    `;
+  }
+  
+  if (node.encoding === 'field') {
+    return `
+      <div style="margin-top: 4px;"><strong>${escapeHtml(node.key)}</strong>:
+        ${childrenHTML ? `<div style="margin-left: 8px;">${childrenHTML}</div>` : `<code>${escapeHtml(node.text)}</code>`}
+      </div>
+    `;
+  }
+  
+  return `
+    <div style="color: #666;">${escapeHtml(node.encoding)} decoded:</div>
+    ${childrenHTML || `<pre style="${preStyle}">${escapeHtml(node.text)}</pre>`}
+  `;
+}
+
+// Explanations are generated in the background queue and arrive one by one
+function showExplanation(cookieKey, explanation) {
+  document.querySelectorAll('.ai-explanation').forEach(el => {
+    if (el.dataset.explanationKey === cookieKey) {
+      el.innerHTML = renderExplanationHTML(explanation, ' animation: fadeIn 0.5s;');
+    }
+  });
+}
+
+// Explanations are { text, provider, providerLabel, fallbackReason? } objects;
+// plain strings come from caches written before providers existed
+function renderExplanationHTML(explanation, extraStyle) {
+  const text = typeof explanation === 'string' ? explanation : explanation.text;
+  const isTemplate = explanation.provider === 'template';
+  let sourceText = '';
+  if (explanation.providerLabel) {
+    sourceText = `via ${explanation.providerLabel}`;
+    if (explanation.fallbackReason) {
+      sourceText += ` (AI provider unavailable: ${explanation.fallbackReason})`;
+    }
+  }
+  
+  return `
+    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 10px 12px; border-radius: 6px; font-size: 11px; margin-top: 10px; line-height: 1.5; box-shadow: 0 2px 4px rgba(0,0,0,0.1);${extraStyle}">
+      <div style="display: flex; align-items: center; margin-bottom: 6px;">
+        <span style="font-size: 16px; margin-right: 6px;">${isTemplate ? '📖' : '🤖'}</span>
+        <strong style="font-size: 12px;">${isTemplate ? 'About this cookie:' : 'AI Explains:'}</strong>
+      </div>
+      <div style="font-size: 11px; opacity: 0.95;">
+        ${plainTextHtml(text)}
+      </div>
+      ${sourceText ? `<div style="font-size: 9px; opacity: 0.75; margin-top: 6px;">${escapeHtml(sourceText)}</div>` : ''}
+    </div>
+  `;
+}
+
 function truncateText(text, maxLength) {
   return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
 }
 
 function getExpirationText(cookie) {
-  const isBlocked = cookie.permission && cookie.permission.blocked && cookie.value === '[BLOCKED/REMOVED]';
+  const isBlocked = isCookieBlocked(cookie) && cookie.value === '[BLOCKED/REMOVED]';
   const isUnblockedButNotSet = !isBlocked && cookie.value === '[BLOCKED/REMOVED]';
   const isRemoved = cookie.status === 'removed';
   
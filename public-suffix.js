@@ -0,0 +1,139 @@
+// Public Suffix List and registrable domains (eTLD+1)
+// First- vs third-party decisions compare registrable domains, so
+// `evilexample.com` is not mistaken for `example.com` and `co.uk` never
+// matches every UK site. The bundled list in data/ is used until a fresher
+// copy has been downloaded; updates are cached in chrome.storage.local.
+// Loaded by the background service worker (importScripts).
+
+const PUBLIC_SUFFIX_BUNDLED_PATH = 'data/public_suffix_list.dat';
+const PUBLIC_SUFFIX_UPDATE_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+const PUBLIC_SUFFIX_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+// A download with fewer rules than this is truncated or not the list at all
+const PUBLIC_SUFFIX_MIN_RULES = 1000;
+
+let publicSuffixRules = null;
+
+function parsePublicSuffixList(text) {
+  const rules = {
+    exact: new Set(),
+    wildcard: new Set(),
+    exception: new Set(),
+    count: 0
+  };
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim().split(/\s/)[0];
+    if (!line || line.startsWith('//')) continue;
+
+    const rule = line.toLowerCase();
+    if (rule.startsWith('!')) {
+      rules.exception.add(rule.substring(1));
+    } else if (rule.startsWith('*.')) {
+      rules.wildcard.add(rule.substring(2));
+    } else {
+      rules.exact.add(rule);
+    }
+    rules.count++;
+  }
+
+  return rules;
+}
+
+async function loadPublicSuffixList() {
+  try {
+    const { publicSuffixList } = await chrome.storage.local.get(['publicSuffixList']);
+
+    if (publicSuffixList && publicSuffixList.text) {
+      publicSuffixRules = parsePublicSuffixList(publicSuffixList.text);
+      console.log('Loaded updated public suffix list:', publicSuffixRules.count, 'rules');
+    } else {
+      const response = await fetch(chrome.runtime.getURL(PUBLIC_SUFFIX_BUNDLED_PATH));
+      publicSuffixRules = parsePublicSuffixList(await response.text());
+      console.log('Loaded bundled public suffix list:', publicSuffixRules.count, 'rules');
+    }
+
+    if (!publicSuffixList || Date.now() - publicSuffixList.fetchedAt > PUBLIC_SUFFIX_MAX_AGE) {
+      updatePublicSuffixList();
+    }
+  } catch (error) {
+    console.error('Error loading public suffix list:', error);
+  }
+}
+
+async function updatePublicSuffixList() {
+  try {
+    const response = await fetch(PUBLIC_SUFFIX_UPDATE_URL);
+    if (!response.ok) {
+      throw new Error(`Public suffix list download failed: ${response.status}`);
+    }
+
+    const text = await response.text();
+    const rules = parsePublicSuffixList(text);
+    if (rules.count < PUBLIC_SUFFIX_MIN_RULES) {
+      throw new Error(`Public suffix list looks incomplete: ${rules.count} rules`);
+    }
+
+    publicSuffixRules = rules;
+    await chrome.storage.local.set({ publicSuffixList: { text: text, fetchedAt: Date.now() } });
+    console.log('Public suffix list updated:', rules.count, 'rules');
+  } catch (error) {
+    console.log('Keeping current public suffix list:', error.message);
+  }
+}
+
+function normalizeHostname(domain) {
+  return (domain || '').trim().replace(/^\./, '').replace(/\.$/, '').toLowerCase();
+}
+
+// Number of labels in the public suffix of `labels`, following the PSL algorithm:
+// exception rules win, then the longest matching rule, then the implicit "*" rule
+function getPublicSuffixLength(labels) {
+  if (!publicSuffixRules) {
+    // List not loaded yet: treat short second-level labels under a ccTLD as suffixes (co.uk)
+    const tld = labels[labels.length - 1];
+    const sld = labels[labels.length - 2];
+    return tld && tld.length === 2 && sld && sld.length <= 3 && labels.length > 2 ? 2 : 1;
+  }
+
+  let longest = 1;
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    const length = labels.length - i;
+
+    if (publicSuffixRules.exception.has(candidate)) {
+      return length - 1;
+    }
+    if (publicSuffixRules.exact.has(candidate)) {
+      longest = Math.max(longest, length);
+    }
+    if (i > 0 && publicSuffixRules.wildcard.has(candidate)) {
+      longest = Math.max(longest, length + 1);
+    }
+  }
+  return longest;
+}
+
+// Returns null for IP addresses, single-label hosts and public suffixes themselves
+function getRegistrableDomain(domain) {
+  const hostname = normalizeHostname(domain);
+  if (!hostname || /^[\d.]+$/.test(hostname) || hostname.includes(':')) {
+    return null;
+  }
+
+  const labels = hostname.split('.');
+  const suffixLength = getPublicSuffixLength(labels);
+  if (labels.length <= suffixLength) {
+    return null;
+  }
+  return labels.slice(labels.length - suffixLength - 1).join('.');
+}
+
+// Same registrable domain; hosts without one (IPs, localhost) must match exactly
+function isSameSite(domainA, domainB) {
+  const siteA = getRegistrableDomain(domainA);
+  const siteB = getRegistrableDomain(domainB);
+  if (!siteA || !siteB) {
+    return normalizeHostname(domainA) === normalizeHostname(domainB);
+  }
+  return siteA === siteB;
+}
@@ -0,0 +1,67 @@
+// Zombie (respawning) cookie detection
+// Sites that want an ID to outlive deletion keep a copy elsewhere
+// (localStorage, IndexedDB, a server-side profile) and write the cookie back
+// as soon as it is gone, so blocking it only starts another round. Each time
+// a cookie comes back after the extension blocked it or someone deleted it,
+// that counts as a respawn. A cookie becomes a zombie when it respawns
+// RESPAWN_ZOMBIE_COUNT times within RESPAWN_WINDOW, comes back with the ID it
+// was removed with, or has that ID in the page's localStorage (checked by
+// content.js). The record is kept on the cookie's history entry as `respawn`;
+// background.js scores zombies with the `respawning` risk factor, but only
+// blocks one by itself once it has respawned repeatedly, since a site may
+// rewrite a single ID-bearing cookie once for reasons of its own; blocking it
+// then also takes its domain to network-level blocking (network-blocker.js).
+// Loaded by the background service worker (importScripts); IDs are recognised
+// with extractIdTokens() from id-sync.js.
+
+const RESPAWN_WINDOW = 24 * 60 * 60 * 1000;
+const RESPAWN_ZOMBIE_COUNT = 3;
+
+// Expiry and overwrites are the cookie's normal life, not a removal to undo
+function isDeliberateRemoval(historyEntry) {
+  if (!historyEntry) return false;
+  return historyEntry.status === 'blocked' ||
+    (historyEntry.status === 'removed' && historyEntry.removalCause === 'explicit');
+}
+
+// Settings such as "accepted", "en" or a consent blob come back the same on
+// every visit anyway; only a value carrying a generated ID says anything
+function isIdLikeValue(value) {
+  return typeof value === 'string' && extractIdTokens(value).size > 0;
+}
+
+// Repeated respawns are what gets a zombie blocked automatically
+function isRepeatedRespawn(respawn) {
+  return Boolean(respawn) && (respawn.times || []).length >= RESPAWN_ZOMBIE_COUNT;
+}
+
+// The values a stored copy could hold: what the cookie was removed with and
+// what it came back with
+function getRespawnProbeValues(historyEntry, cookie) {
+  return [...new Set([historyEntry.value, cookie.value])].filter(isIdLikeValue);
+}
+
+// historyEntry is the cookie's entry from before this respawn; storageKeys
+// are the localStorage keys found holding its value. Returns the new record:
+// { count, times, sameValue, storageKeys, zombie, lastRespawnAt, zombieAt }
+function recordCookieRespawn(historyEntry, cookie, storageKeys, now = Date.now()) {
+  const previous = historyEntry.respawn || {};
+  const times = [...(previous.times || []), now].filter(time => now - time < RESPAWN_WINDOW);
+  const sameValue = Boolean(previous.sameValue) ||
+    (isIdLikeValue(cookie.value) && cookie.value === historyEntry.value);
+  const allStorageKeys = [...new Set([...(previous.storageKeys || []), ...(storageKeys || [])])];
+  const zombie = Boolean(previous.zombie) ||
+    times.length >= RESPAWN_ZOMBIE_COUNT ||
+    sameValue ||
+    allStorageKeys.length > 0;
+
+  return {
+    count: (previous.count || 0) + 1,
+    times: times,
+    sameValue: sameValue,
+    storageKeys: allStorageKeys,
+    zombie: zombie,
+    lastRespawnAt: now,
+    zombieAt: previous.zombieAt || (zombie ? now : null)
+  };
+}
@@ -0,0 +1,155 @@
+// Cookie risk model
+// A cookie's risk score is the sum of named factors, each with a weight the
+// user can change in Settings. calculateRiskBreakdown() returns every factor
+// that contributed, with its points and the evidence behind it, so the popup
+// can show why a cookie is rated HIGH. The level thresholds live here too, so
+// "suspicious" means the same thing in the background, popup and content
+// script.
+// Loaded by the background service worker (importScripts) and by the popup.
+
+const RISK_LEVEL_LOW = 'low';
+const RISK_LEVEL_MEDIUM = 'medium';
+const RISK_LEVEL_HIGH = 'high';
+
+// Weights are points per occurrence: data_type counts once per detected type,
+// tracking_pattern once per matched pattern
+const RISK_FACTORS = [
+  { id: 'data_type', label: 'Personal data type', defaultWeight: 1, description: 'Per detected data type' },
+  { id: 'advertising_tracker', label: 'Known advertising tracker', defaultWeight: 2, description: 'Listed in the tracker database as advertising' },
+  { id: 'analytics_tracker', label: 'Known analytics tracker', defaultWeight: 1, description: 'Listed in the tracker database as analytics' },
+  { id: 'tracking_pattern', label: 'Tracking-like name or value', defaultWeight: 1, description: 'Per matched pattern, for cookies not in the tracker database' },
+  { id: 'third_party', label: 'Third-party cookie', defaultWeight: 2, description: 'Set by a different site than the one you are visiting' },
+  { id: 'long_lived', label: 'Lives longer than a year', defaultWeight: 1, description: 'Expires more than a year from now' },
+  { id: 'insecure', label: 'Sent without Secure', defaultWeight: 1, description: 'Can be sent over unencrypted connections' },
+  { id: 'respawning', label: 'Respawns after removal', defaultWeight: 5, description: 'Keeps coming back, or comes back with the same ID, after being blocked or deleted' },
+  { id: 'id_syncing', label: 'Shares an ID with other sites', defaultWeight: 3, description: 'Its value also turns up in cookies or URLs of other sites' }
+];
+
+// A score at or above `medium` counts as suspicious
+const DEFAULT_RISK_THRESHOLDS = {
+  medium: 3,
+  high: 5
+};
+
+// Matched as whole tokens of the name or a decoded value, so `ad` doesn't hit
+// "header" or `fr` "frame" and "refresh"; a token ends at anything but a
+// letter (`_ga_XYZ`, `ad-id`, `uid=`), and one starting with `_` needs nothing
+// in front of it
+const TRACKING_PATTERNS = ['_ga', '_gid', '_fbp', 'fr', 'track', 'tracking', 'tracker', 'uid', 'analytics', 'ad', 'ads', 'pixel'];
+const TRACKING_PATTERN_REGEXES = TRACKING_PATTERNS.map(pattern =>
+  new RegExp(`${pattern.startsWith('_') ? '' : '(?:^|[^a-z0-9])'}${pattern}(?:$|[^a-z])`)
+);
+
+const ONE_YEAR_SECONDS = 31536000;
+
+function normalizeRiskWeights(weights) {
+  const normalized = {};
+  for (const factor of RISK_FACTORS) {
+    const weight = weights ? Number(weights[factor.id]) : NaN;
+    normalized[factor.id] = Number.isFinite(weight) ? weight : factor.defaultWeight;
+  }
+  return normalized;
+}
+
+function normalizeRiskThresholds(thresholds) {
+  const medium = thresholds ? Number(thresholds.medium) : NaN;
+  const high = thresholds ? Number(thresholds.high) : NaN;
+  const normalized = {
+    medium: Number.isFinite(medium) ? medium : DEFAULT_RISK_THRESHOLDS.medium,
+    high: Number.isFinite(high) ? high : DEFAULT_RISK_THRESHOLDS.high
+  };
+  normalized.high = Math.max(normalized.high, normalized.medium);
+  return normalized;
+}
+
+function getRiskLevel(score, thresholds) {
+  const normalized = normalizeRiskThresholds(thresholds);
+  if (score >= normalized.high) return RISK_LEVEL_HIGH;
+  if (score >= normalized.medium) return RISK_LEVEL_MEDIUM;
+  return RISK_LEVEL_LOW;
+}
+
+function getRiskFactorLabel(factorId) {
+  const factor = RISK_FACTORS.find(f => f.id === factorId);
+  return factor ? factor.label : factorId;
+}
+
+function findTrackingPatterns(cookie) {
+  // Look inside Base64/JWT/JSON payloads, not just the raw value
+  const decodedStrings = collectDecodedStrings(decodeCookieValue(cookie.value));
+  const texts = [cookie.name || '', ...decodedStrings.map(entry => entry.text)].map(text => text.toLowerCase());
+  return TRACKING_PATTERNS.filter((pattern, index) => texts.some(text => TRACKING_PATTERN_REGEXES[index].test(text)));
+}
+
+function describeRespawn(respawn) {
+  const parts = [`Came back ${respawn.count} time${respawn.count === 1 ? '' : 's'} after removal`];
+  if (respawn.sameValue) parts.push('with the same value');
+  if (respawn.storageKeys && respawn.storageKeys.length > 0) {
+    parts.push(`copy in localStorage (${respawn.storageKeys.map(key => `"${key}"`).join(', ')})`);
+  }
+  return parts.join(', ');
+}
+
+// context: { potentialData, tracker, isThirdParty, pageDomain, respawn, idSync, weights, thresholds };
+// respawn is the record from respawn-detector.js, idSync what findCookieIdSync()
+// in id-sync.js found
+// Returns { score, level, factors: [{ factor, label, points, evidence }] }
+function calculateRiskBreakdown(cookie, context) {
+  const weights = normalizeRiskWeights(context.weights);
+  const factors = [];
+
+  const addFactor = (factorId, count, evidence) => {
+    const points = weights[factorId] * count;
+    if (points !== 0) {
+      factors.push({ factor: factorId, label: getRiskFactorLabel(factorId), points: points, evidence: evidence });
+    }
+  };
+
+  const dataTypes = context.potentialData || [];
+  if (dataTypes.length > 0) {
+    addFactor('data_type', dataTypes.length, dataTypes.map(dataType => dataType.replace(/_/g, ' ')).join(', '));
+  }
+
+  // Known trackers are scored by category; the name patterns are only a
+  // fallback for cookies the tracker database doesn't know
+  const tracker = context.tracker;
+  if (tracker && tracker.category) {
+    const trackerEvidence = `${tracker.entity || 'Unknown company'}: ${tracker.purpose || tracker.category}`;
+    if (tracker.category === 'advertising') addFactor('advertising_tracker', 1, trackerEvidence);
+    if (tracker.category === 'analytics') addFactor('analytics_tracker', 1, trackerEvidence);
+  } else {
+    const patterns = findTrackingPatterns(cookie);
+    if (patterns.length > 0) {
+      addFactor('tracking_pattern', patterns.length, `Matches ${patterns.map(pattern => `"${pattern}"`).join(', ')}`);
+    }
+  }
+
+  if (context.isThirdParty) {
+    addFactor('third_party', 1, `${cookie.domain} on ${context.pageDomain}`);
+  }
+
+  if (cookie.expirationDate && cookie.expirationDate > (Date.now() / 1000) + ONE_YEAR_SECONDS) {
+    addFactor('long_lived', 1, `Expires ${new Date(cookie.expirationDate * 1000).toLocaleDateString()}`);
+  }
+
+  if (!cookie.secure) {
+    addFactor('insecure', 1, 'Secure attribute not set');
+  }
+
+  if (context.respawn && context.respawn.zombie) {
+    addFactor('respawning', 1, describeRespawn(context.respawn));
+  }
+
+  if (context.idSync && context.idSync.sites.length > 0) {
+    const sites = context.idSync.sites;
+    const more = sites.length > 3 ? ` and ${sites.length - 3} more` : '';
+    addFactor('id_syncing', 1, `Same ID on ${sites.slice(0, 3).join(', ')}${more}`);
+  }
+
+  const score = factors.reduce((total, factor) => total + factor.points, 0);
+  return {
+    score: score,
+    level: getRiskLevel(score, context.thresholds),
+    factors: factors
+  };
+}
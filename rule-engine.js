@@ -0,0 +1,194 @@
+// Pattern-based cookie rules
+// A rule matches cookies by name (exact, glob or regex), domain, first- vs
+// third-party context, detected data types, regular vs private browsing and
+// the host of the script that wrote it through document.cookie (see
+// tab-attribution.js), so one rule can cover `_ga` on every site, rotating
+// names like `_hjSession_*` or whatever cdn.tracker.com's scripts write.
+// The writing script is reported by the page itself and can be forged, so a
+// script pattern can only make a rule block or flag, never allow.
+//
+// Precedence (see resolvePolicyDecision in policy-engine.js):
+//   1. explicit per-cookie permission
+//   2. enabled rules, highest priority first; on equal priority the most
+//      restrictive action wins (block > flag > allow), then the oldest rule
+//   3. the default data-type policy from the Settings tab
+//
+// Loaded by the background service worker (importScripts) and by the popup.
+
+const RULE_MATCH_EXACT = 'exact';
+const RULE_MATCH_GLOB = 'glob';
+const RULE_MATCH_REGEX = 'regex';
+
+const RULE_PARTY_ANY = 'any';
+const RULE_PARTY_FIRST = 'first';
+const RULE_PARTY_THIRD = 'third';
+
+// Which cookie stores a rule applies to (see cookie-stores.js)
+const RULE_SCOPE_ANY = 'any';
+const RULE_SCOPE_REGULAR = 'regular';
+const RULE_SCOPE_PRIVATE = 'private';
+
+const RULE_ACTIONS = ['allow', 'flag', 'block'];
+
+const RULE_ACTION_SEVERITY = { allow: 0, flag: 1, block: 2 };
+
+function globToRegExp(glob, flags) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, flags);
+}
+
+function normalizeRuleDomain(domain) {
+  return (domain || '').trim().replace(/^\./, '').toLowerCase();
+}
+
+function createRule(fields) {
+  return {
+    id: fields.id || `rule_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+    name: (fields.name || fields.namePattern || 'Untitled rule').trim(),
+    enabled: fields.enabled !== false,
+    namePattern: (fields.namePattern || '').trim(),
+    nameMatch: fields.nameMatch || RULE_MATCH_GLOB,
+    domainPattern: normalizeRuleDomain(fields.domainPattern),
+    scriptPattern: normalizeRuleDomain(fields.scriptPattern),
+    party: fields.party || RULE_PARTY_ANY,
+    scope: fields.scope || RULE_SCOPE_ANY,
+    dataTypes: fields.dataTypes || [],
+    action: fields.action || 'block',
+    priority: Number(fields.priority) || 0,
+    createdAt: fields.createdAt || Date.now()
+  };
+}
+
+// Returns an error message, or null when the rule is valid
+function validateRule(rule) {
+  if (!rule.namePattern && !rule.domainPattern && !rule.scriptPattern && rule.dataTypes.length === 0) {
+    return 'A rule needs a name pattern, a domain pattern, a script pattern or at least one data type';
+  }
+  if (!RULE_ACTIONS.includes(rule.action)) {
+    return `Unknown rule action: ${rule.action}`;
+  }
+  if (rule.scriptPattern && rule.action === 'allow') {
+    return 'The writing script is reported by the page and unverified, so script rules can only block or flag';
+  }
+  if (rule.nameMatch === RULE_MATCH_REGEX && rule.namePattern) {
+    try {
+      new RegExp(rule.namePattern);
+    } catch (error) {
+      return `Invalid regular expression: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+function matchesRuleName(rule, cookieName) {
+  if (!rule.namePattern) return true;
+
+  try {
+    if (rule.nameMatch === RULE_MATCH_EXACT) {
+      return cookieName === rule.namePattern;
+    }
+    if (rule.nameMatch === RULE_MATCH_REGEX) {
+      return new RegExp(rule.namePattern).test(cookieName);
+    }
+    return globToRegExp(rule.namePattern).test(cookieName);
+  } catch (error) {
+    console.log('Invalid rule pattern:', rule.namePattern, error);
+    return false;
+  }
+}
+
+// A plain domain pattern also covers its subdomains; wildcards use glob matching
+function matchesDomainPattern(pattern, domain) {
+  domain = normalizeRuleDomain(domain);
+  if (pattern.includes('*') || pattern.includes('?')) {
+    return globToRegExp(pattern, 'i').test(domain);
+  }
+  return domain === pattern || domain.endsWith('.' + pattern);
+}
+
+function matchesRuleDomain(rule, cookieDomain) {
+  if (!rule.domainPattern || rule.domainPattern === '*') return true;
+  return matchesDomainPattern(rule.domainPattern, cookieDomain);
+}
+
+// Matched against the host of the writing script's URL; a cookie with no
+// known script (set by a response header, or before the hook saw it) doesn't
+// match a rule that names one. A page can claim any script URL, so allow
+// rules saved with a script pattern never match.
+function matchesRuleScript(rule, scriptUrl) {
+  if (!rule.scriptPattern) return true;
+  if (rule.action === 'allow') return false;
+  if (rule.scriptPattern === '*') return true;
+  if (!scriptUrl) return false;
+
+  try {
+    return matchesDomainPattern(rule.scriptPattern, new URL(scriptUrl).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+function matchesRuleParty(rule, isThirdParty) {
+  if (rule.party === RULE_PARTY_FIRST) return isThirdParty === false;
+  if (rule.party === RULE_PARTY_THIRD) return isThirdParty === true;
+  return true;
+}
+
+function matchesRuleScope(rule, isIncognito) {
+  if (rule.scope === RULE_SCOPE_REGULAR) return !isIncognito;
+  if (rule.scope === RULE_SCOPE_PRIVATE) return Boolean(isIncognito);
+  return true;
+}
+
+function matchesRuleDataTypes(rule, potentialData) {
+  if (!rule.dataTypes || rule.dataTypes.length === 0) return true;
+  return rule.dataTypes.some(dataType => (potentialData || []).includes(dataType));
+}
+
+// context: { potentialData, isThirdParty, isIncognito, scriptUrl }
+function matchesRule(rule, cookie, context) {
+  return rule.enabled &&
+    matchesRuleName(rule, cookie.name) &&
+    matchesRuleDomain(rule, cookie.domain) &&
+    matchesRuleScript(rule, context.scriptUrl) &&
+    matchesRuleParty(rule, context.isThirdParty) &&
+    matchesRuleScope(rule, context.isIncognito) &&
+    matchesRuleDataTypes(rule, context.potentialData);
+}
+
+function compareRulePrecedence(a, b) {
+  if (a.priority !== b.priority) {
+    return b.priority - a.priority;
+  }
+  if (a.action !== b.action) {
+    return RULE_ACTION_SEVERITY[b.action] - RULE_ACTION_SEVERITY[a.action];
+  }
+  return a.createdAt - b.createdAt;
+}
+
+function findMatchingRule(rules, cookie, context) {
+  const matching = (rules || []).filter(rule => matchesRule(rule, cookie, context));
+  if (matching.length === 0) return null;
+  return matching.sort(compareRulePrecedence)[0];
+}
+
+function describeRule(rule) {
+  const parts = [];
+  if (rule.namePattern) {
+    parts.push(rule.nameMatch === RULE_MATCH_REGEX ? `name /${rule.namePattern}/` : `name ${rule.namePattern}`);
+  }
+  if (rule.domainPattern) parts.push(`on ${rule.domainPattern}`);
+  if (rule.scriptPattern) parts.push(`written by scripts from ${rule.scriptPattern} (unverified)`);
+  if (rule.party !== RULE_PARTY_ANY) parts.push(`${rule.party}-party`);
+  if (rule.scope === RULE_SCOPE_REGULAR) parts.push('regular windows');
+  if (rule.scope === RULE_SCOPE_PRIVATE) parts.push('private windows');
+  if (rule.dataTypes.length > 0) parts.push(`with ${rule.dataTypes.map(dataType => dataType.replace(/_/g, ' ')).join(', ')}`);
+  return parts.join(' · ') || 'all cookies';
+}
@@ -0,0 +1,34 @@
+// Safe rendering helpers
+// Cookie names, domains, values and AI output are controlled by websites (or
+// a model reading them), so anything from them that goes into an innerHTML
+// template must pass through escapeHtml(), and AI output is shown as plain
+// text only. Prefer textContent when building elements one by one.
+// Loaded by the background service worker (importScripts), the popup and the
+// content script.
+
+const PLAIN_TEXT_MAX_LENGTH = 600;
+
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Strips markup and control characters and caps the length, for text that
+// should read as a plain sentence (AI explanations)
+function toPlainText(text, maxLength = PLAIN_TEXT_MAX_LENGTH) {
+  const plain = String(text === null || text === undefined ? '' : text)
+    .replace(/<[^>]*>/g, '')
+    .replace(/[\x00-\x08\x0B-\x1F\x7F\u200B-\u200F\u202A-\u202E\u2066-\u2069]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return plain.length > maxLength ? plain.substring(0, maxLength) + '…' : plain;
+}
+
+// escapeHtml() after toPlainText(), for dropping AI output into a template
+function plainTextHtml(text, maxLength) {
+  return escapeHtml(toPlainText(text, maxLength));
+}
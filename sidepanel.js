@@ -0,0 +1,179 @@
+const COOKIE_EVENTS_PORT = 'cookie-events';
+const PANEL_MAX_EVENTS = 1000;
+const RECONNECT_DELAY = 1000;
+
+let panelEvents = [];
+let seenEventIds = new Set();
+let currentTabId = null;
+let panelWindowId = null;
+let panelIncognito = false;
+let paused = false;
+// Events received while paused, shown on resume
+let pausedEvents = [];
+
+document.addEventListener('DOMContentLoaded', async function() {
+  const currentWindow = await chrome.windows.getCurrent();
+  panelWindowId = currentWindow.id;
+  panelIncognito = currentWindow.incognito;
+  
+  const [tab] = await chrome.tabs.query({ active: true, windowId: panelWindowId });
+  setCurrentTab(tab);
+  
+  // Follows the tab in front of this panel's window
+  chrome.tabs.onActivated.addListener(async (activeInfo) => {
+    if (activeInfo.windowId !== panelWindowId) return;
+    setCurrentTab(await chrome.tabs.get(activeInfo.tabId));
+  });
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (tabId === currentTabId && changeInfo.url) {
+      setCurrentTab(tab);
+    }
+  });
+  
+  setupPanelListeners();
+  connectEventStream();
+});
+
+function setupPanelListeners() {
+  document.getElementById('event-filter').addEventListener('input', renderEvents);
+  document.getElementById('event-type').addEventListener('change', renderEvents);
+  document.getElementById('all-tabs').addEventListener('change', renderEvents);
+  
+  document.getElementById('pause-events').addEventListener('click', (event) => {
+    paused = !paused;
+    event.target.textContent = paused ? '▶ Resume' : '⏸ Pause';
+    if (!paused) {
+      pausedEvents.forEach(addEvent);
+      pausedEvents = [];
+      renderEvents();
+    }
+  });
+  
+  // Ids stay in seenEventIds so the backlog of a reconnect doesn't bring them back
+  document.getElementById('clear-events').addEventListener('click', () => {
+    panelEvents = [];
+    pausedEvents = [];
+    renderEvents();
+  });
+}
+
+function setCurrentTab(tab) {
+  currentTabId = tab ? tab.id : null;
+  let label = 'No tab';
+  if (tab && tab.url) {
+    try {
+      label = new URL(tab.url).hostname || tab.url;
+    } catch (error) {
+      label = tab.url;
+    }
+  }
+  document.getElementById('current-tab').textContent = label;
+  renderEvents();
+}
+
+// The service worker can be stopped, which closes the port; a new one brings
+// the backlog again and seenEventIds drops what was already shown. Only the
+// events of this window's kind (private or not) are sent.
+function connectEventStream() {
+  const port = chrome.runtime.connect({ name: COOKIE_EVENTS_PORT });
+  port.postMessage({ type: 'COOKIE_EVENT_SUBSCRIBE', incognito: panelIncognito });
+  setConnectionStatus('Connected');
+  
+  port.onMessage.addListener((message) => {
+    if (message.type === 'COOKIE_EVENT_BACKLOG') {
+      message.events.forEach(receiveEvent);
+      renderEvents();
+    } else if (message.type === 'COOKIE_EVENT') {
+      receiveEvent(message.event);
+      if (!paused) renderEvents();
+    }
+  });
+  
+  port.onDisconnect.addListener(() => {
+    setConnectionStatus('Reconnecting...');
+    setTimeout(connectEventStream, RECONNECT_DELAY);
+  });
+}
+
+function setConnectionStatus(text) {
+  document.getElementById('connection-status').textContent = text;
+}
+
+function receiveEvent(event) {
+  if (seenEventIds.has(event.id)) return;
+  seenEventIds.add(event.id);
+  if (paused) {
+    pausedEvents.push(event);
+  } else {
+    addEvent(event);
+  }
+}
+
+function addEvent(event) {
+  panelEvents.push(event);
+  if (panelEvents.length > PANEL_MAX_EVENTS) {
+    panelEvents.splice(0, panelEvents.length - PANEL_MAX_EVENTS);
+  }
+}
+
+function getVisibleEvents() {
+  const text = document.getElementById('event-filter').value.trim().toLowerCase();
+  const type = document.getElementById('event-type').value;
+  const allTabs = document.getElementById('all-tabs').checked;
+  
+  return panelEvents.filter(event =>
+    (allTabs || event.tabId === currentTabId) &&
+    (!type || event.type === type) &&
+    (!text || event.name.toLowerCase().includes(text) || event.domain.toLowerCase().includes(text))
+  );
+}
+
+// Newest first
+function renderEvents() {
+  const listEl = document.getElementById('event-list');
+  const events = getVisibleEvents().reverse();
+  
+  if (events.length === 0) {
+    listEl.innerHTML = `
+      <div class="empty-state">
+        <div style="font-size: 28px;">📡</div>
+        <div>Waiting for cookie events${document.getElementById('all-tabs').checked ? '' : ' in this tab'}</div>
+      </div>
+    `;
+    return;
+  }
+  
+  listEl.innerHTML = events.map(event => `
+    <div class="event event-${escapeHtml(event.type)}">
+      <div style="display: flex; justify-content: space-between; gap: 6px;">
+        <span><span class="event-type">${escapeHtml(event.type)}</span> <strong>${escapeHtml(event.name)}</strong></span>
+        <span style="color: #999;">${new Date(event.time).toLocaleTimeString()}</span>
+      </div>
+      <div class="event-detail">
+        ${escapeHtml(event.domain)}
+        ${event.thirdParty ? '<span style="color: #dc3545;">third-party</span>' : ''}
+        ${event.riskLevel ? `<span class="risk-${escapeHtml(event.riskLevel)}">${escapeHtml(event.riskLevel.toUpperCase())}</span>` : ''}
+      </div>
+      ${describeEventSource(event) ? `<div class="event-detail">${escapeHtml(describeEventSource(event))}</div>` : ''}
+      ${event.reason ? `<div class="event-detail">${escapeHtml(event.reason)}</div>` : ''}
+    </div>
+  `).join('');
+}
+
+function describeEventSource(event) {
+  if (event.setBy === 'header') {
+    return `Set-Cookie from ${getUrlHost(event.requestUrl)}${event.frameUrl ? ` in ${getUrlHost(event.frameUrl)}` : ''}`;
+  }
+  if (event.setBy === 'script') {
+    return `${event.scriptUrl || 'Script'}${event.frameUrl ? ` in ${getUrlHost(event.frameUrl)}` : ''}`;
+  }
+  return '';
+}
+
+function getUrlHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return url || '';
+  }
+}
@@ -0,0 +1,266 @@
+// Versioned storage layer
+// Stored data is split into namespaces, each kept in one storage area:
+//   - settings: Settings-tab options, in chrome.storage.sync
+//   - rules: pattern rules (cookieRules), in chrome.storage.sync
+//   - permissions: per-cookie permissions, one map in chrome.storage.local;
+//     sync only allows 512 items and about 100 KB, which a heavy user fills
+//   - history: cached explanations, in chrome.storage.local (the cookie
+//     history itself is in IndexedDB, see history-store.js)
+// Writes to sync check the quota first. A namespace that would take sync past
+// SYNC_QUOTA_WARNING_RATIO, or whose write is rejected for quota, moves to
+// chrome.storage.local for good, and the move is recorded in storageMeta next
+// to the schema version. runStorageMigrations() brings an older layout up to
+// the last version in STORAGE_MIGRATIONS.
+// Loaded by the background service worker (importScripts), after
+// cookie-identity.js, and by the popup.
+
+const STORAGE_META_KEY = 'storageMeta';
+const PERMISSIONS_STORAGE_KEY = 'cookiePermissions';
+
+// chrome.storage.sync limits
+const SYNC_QUOTA_BYTES = 102400;
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+const SYNC_MAX_ITEMS = 512;
+const SYNC_QUOTA_WARNING_RATIO = 0.9;
+
+// Retention defaults for the history settings (history-store.js)
+const DEFAULT_HISTORY_RETENTION_DAYS = 30;
+const DEFAULT_HISTORY_MAX_ENTRIES = 5000;
+
+const STORAGE_NAMESPACES = {
+  settings: {
+    area: 'sync',
+    keys: [
+      'autoBlockHighRisk',
+      'showNotifications',
+      'networkBlocking',
+      'incognitoHistoryInMemory',
+      'defaultPermissions',
+      'customEnforcement',
+      'riskWeights',
+      'riskThresholds',
+      'aiProvider',
+      'historyRetentionDays',
+      'historyMaxEntries',
+      'badgeCount'
+    ]
+  },
+  rules: { area: 'sync', keys: ['cookieRules'] },
+  permissions: { area: 'local', keys: [PERMISSIONS_STORAGE_KEY] },
+  history: { area: 'local', keys: ['cookieExplanations'] }
+};
+
+let storageMeta = null;
+let storageReady = null;
+let permissionWriteChain = Promise.resolve();
+
+// Another context (popup or background) may move a namespace
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[STORAGE_META_KEY]) {
+    storageMeta = changes[STORAGE_META_KEY].newValue || null;
+  }
+});
+
+async function loadStorageMeta() {
+  if (!storageMeta) {
+    const stored = await chrome.storage.local.get([STORAGE_META_KEY]);
+    // No meta yet means the layout from before versioning
+    storageMeta = stored[STORAGE_META_KEY] || { version: 1, fallback: {} };
+  }
+  return storageMeta;
+}
+
+async function saveStorageMeta() {
+  await chrome.storage.local.set({ [STORAGE_META_KEY]: storageMeta });
+}
+
+async function getNamespaceArea(namespace) {
+  const meta = await loadStorageMeta();
+  return meta.fallback[namespace] ? 'local' : STORAGE_NAMESPACES[namespace].area;
+}
+
+// Resolves to an object like chrome.storage.*.get(); all of the namespace's
+// keys when none are given
+async function readNamespace(namespace, keys) {
+  const area = await getNamespaceArea(namespace);
+  return chrome.storage[area].get(keys || STORAGE_NAMESPACES[namespace].keys);
+}
+
+// Resolves to the area written to; rejects on errors other than sync quota
+async function writeNamespace(namespace, items) {
+  const area = await getNamespaceArea(namespace);
+
+  if (area === 'sync') {
+    try {
+      if (await fitsInSyncQuota(items)) {
+        await chrome.storage.sync.set(items);
+        return 'sync';
+      }
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+      console.log(`Sync storage rejected ${namespace}:`, error.message);
+    }
+    await moveNamespaceToLocal(namespace);
+  }
+
+  await chrome.storage.local.set(items);
+  return 'local';
+}
+
+async function clearNamespace(namespace) {
+  const area = await getNamespaceArea(namespace);
+  await chrome.storage[area].remove(STORAGE_NAMESPACES[namespace].keys);
+}
+
+async function moveNamespaceToLocal(namespace) {
+  const keys = STORAGE_NAMESPACES[namespace].keys;
+  const current = await chrome.storage.sync.get(keys);
+  await chrome.storage.local.set(current);
+
+  const meta = await loadStorageMeta();
+  meta.fallback = { ...meta.fallback, [namespace]: Date.now() };
+  await saveStorageMeta();
+
+  await chrome.storage.sync.remove(keys);
+  console.log(`Sync storage is nearly full, ${namespace} moved to local storage`);
+}
+
+function isQuotaError(error) {
+  return /quota|max_items/i.test((error && error.message) || '');
+}
+
+// Chrome counts a sync item as its key plus its JSON-encoded value
+function getSyncItemBytes(key, value) {
+  return key.length + JSON.stringify(value).length;
+}
+
+async function getSyncQuotaUsage() {
+  const [bytesInUse, items] = await Promise.all([
+    chrome.storage.sync.getBytesInUse(null),
+    chrome.storage.sync.get(null)
+  ]);
+  const itemCount = Object.keys(items).length;
+  return {
+    bytesInUse: bytesInUse,
+    quotaBytes: SYNC_QUOTA_BYTES,
+    items: itemCount,
+    maxItems: SYNC_MAX_ITEMS,
+    nearLimit: bytesInUse >= SYNC_QUOTA_BYTES * SYNC_QUOTA_WARNING_RATIO ||
+      itemCount >= SYNC_MAX_ITEMS * SYNC_QUOTA_WARNING_RATIO
+  };
+}
+
+// Whether replacing the current values with items keeps sync under the warning ratio
+async function fitsInSyncQuota(items) {
+  const usage = await getSyncQuotaUsage();
+  const current = await chrome.storage.sync.get(Object.keys(items));
+  let bytes = usage.bytesInUse;
+  let itemCount = usage.items;
+
+  for (const [key, value] of Object.entries(items)) {
+    const size = getSyncItemBytes(key, value);
+    if (size > SYNC_QUOTA_BYTES_PER_ITEM) return false;
+
+    if (key in current) {
+      bytes -= getSyncItemBytes(key, current[key]);
+    } else {
+      itemCount++;
+    }
+    bytes += size;
+  }
+
+  return bytes < SYNC_QUOTA_BYTES * SYNC_QUOTA_WARNING_RATIO &&
+    itemCount < SYNC_MAX_ITEMS * SYNC_QUOTA_WARNING_RATIO;
+}
+
+async function checkStorageQuota() {
+  try {
+    const usage = await getSyncQuotaUsage();
+    const message = `Sync storage: ${usage.bytesInUse} of ${usage.quotaBytes} bytes, ${usage.items} of ${usage.maxItems} items`;
+    if (usage.nearLimit) {
+      console.error(`${message} (nearly full)`);
+    } else {
+      console.log(message);
+    }
+    return usage;
+  } catch (error) {
+    console.error('Error checking storage quota:', error);
+    return null;
+  }
+}
+
+async function readPermissionsMap() {
+  const stored = await chrome.storage.local.get([PERMISSIONS_STORAGE_KEY]);
+  return stored[PERMISSIONS_STORAGE_KEY] || {};
+}
+
+// permissionKey -> permission; waits for a running migration so callers never
+// see the permissions half-moved
+async function getAllPermissions() {
+  if (storageReady) await storageReady;
+  return readPermissionsMap();
+}
+
+// All permissions live in one map, so updates are chained to keep them from
+// overwriting each other. The chain only orders writes within one context, so
+// only the background writes permissions; pages send it messages instead.
+function updatePermissions(update) {
+  const write = permissionWriteChain.then(async () => {
+    const permissions = await readPermissionsMap();
+    update(permissions);
+    await chrome.storage.local.set({ [PERMISSIONS_STORAGE_KEY]: permissions });
+  });
+  permissionWriteChain = write.catch(() => {});
+  return write;
+}
+
+function setPermissions(entries) {
+  return updatePermissions(permissions => Object.assign(permissions, entries));
+}
+
+function removePermissions(permissionKeys) {
+  return updatePermissions(permissions => {
+    permissionKeys.forEach(key => delete permissions[key]);
+  });
+}
+
+// Version 1 kept every permission as its own `cookie_*` item in sync
+async function migratePermissionsToLocal() {
+  const stored = await chrome.storage.sync.get(null);
+  const permissionKeys = Object.keys(stored).filter(key => key.startsWith(PERMISSION_KEY_PREFIX));
+  if (permissionKeys.length === 0) return;
+
+  await setPermissions(Object.fromEntries(permissionKeys.map(key => [key, stored[key]])));
+  await chrome.storage.sync.remove(permissionKeys);
+  console.log('Moved', permissionKeys.length, 'permissions from sync to local storage');
+}
+
+// history-store.js is only loaded by the background, which is also the only
+// context that runs migrations
+const STORAGE_MIGRATIONS = [
+  { version: 2, migrate: migratePermissionsToLocal },
+  { version: 3, migrate: () => migrateHistoryToIndexedDB() }
+];
+
+// Run by the background service worker only; later calls share the first run
+function runStorageMigrations() {
+  if (!storageReady) {
+    storageReady = (async () => {
+      try {
+        const meta = await loadStorageMeta();
+        for (const migration of STORAGE_MIGRATIONS) {
+          if (meta.version < migration.version) {
+            await migration.migrate();
+            meta.version = migration.version;
+            await saveStorageMeta();
+            console.log('Storage migrated to schema version', migration.version);
+          }
+        }
+      } catch (error) {
+        console.error('Error migrating storage:', error);
+      }
+      await checkStorageQuota();
+    })();
+  }
+  return storageReady;
+}
@@ -0,0 +1,306 @@
+// Per-tab cookie attribution
+// cookies.onChanged doesn't say which page caused a change, so:
+//   - Set-Cookie response headers are recorded from webRequest with the
+//     tabId, frameId, initiator and resource type of their request, and the
+//     next matching cookie change is attributed to that request
+//   - writes through document.cookie or the CookieStore API are reported by
+//     cookie-hook.js with the URL of the calling script, and the next
+//     matching cookie change is attributed to that script and frame
+//   - any other change comes from a page script too, which can only write
+//     cookies for its own site, so it goes to an open frame of that site,
+//     top-level frames first
+// Each tab keeps a ledger of the cookies it caused, started over when its top
+// frame navigates and mirrored to chrome.storage.session so it survives a
+// service-worker restart.
+// Loaded by the background service worker (importScripts), after
+// cookie-stores.js and public-suffix.js.
+
+const TAB_LEDGERS_SESSION_KEY = 'tabLedgers';
+const TAB_LEDGERS_SAVE_DELAY = 500;
+const TAB_LEDGER_MAX_ENTRIES = 300;
+
+// The cookie change follows its Set-Cookie header almost at once
+const PENDING_SET_COOKIE_TTL = 10000;
+// The report of a script's write is a message that may arrive just after the
+// cookie change it explains
+const SCRIPT_WRITE_WAIT = 200;
+
+// tabId -> { tabId, url, hostname, startedAt, frames: { frameId: url }, cookies: { cookieKey: entry } }
+let tabLedgers = new Map();
+let pendingSetCookies = [];
+let pendingScriptWrites = [];
+let scriptWriteWaiters = [];
+let tabLedgersSaveTimer = null;
+
+const tabLedgersReady = restoreTabLedgers();
+
+async function restoreTabLedgers() {
+  try {
+    const stored = await chrome.storage.session.get([TAB_LEDGERS_SESSION_KEY]);
+    for (const ledger of Object.values(stored[TAB_LEDGERS_SESSION_KEY] || {})) {
+      tabLedgers.set(ledger.tabId, ledger);
+    }
+  } catch (error) {
+    console.error('Error restoring tab ledgers:', error);
+  }
+}
+
+function saveTabLedgers() {
+  clearTimeout(tabLedgersSaveTimer);
+  tabLedgersSaveTimer = setTimeout(() => {
+    chrome.storage.session.set({ [TAB_LEDGERS_SESSION_KEY]: Object.fromEntries(tabLedgers) }).catch(error => {
+      console.error('Error saving tab ledgers:', error);
+    });
+  }, TAB_LEDGERS_SAVE_DELAY);
+}
+
+function startTabLedger(tabId, url) {
+  const ledger = {
+    tabId: tabId,
+    url: url,
+    hostname: getUrlHostname(url),
+    startedAt: Date.now(),
+    frames: {},
+    cookies: {}
+  };
+  tabLedgers.set(tabId, ledger);
+  return ledger;
+}
+
+function getUrlHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+function getTabLedger(tabId) {
+  return tabLedgers.get(tabId) || null;
+}
+
+// Newest first
+function getTabLedgerEntries(tabId) {
+  const ledger = tabLedgers.get(tabId);
+  if (!ledger) return [];
+  return Object.values(ledger.cookies).sort((a, b) => b.lastSetAt - a.lastSetAt);
+}
+
+// The tab whose current page most recently set the cookie, or null
+function findTabForCookie(cookieKey) {
+  let found = null;
+  for (const ledger of tabLedgers.values()) {
+    const entry = ledger.cookies[cookieKey];
+    if (entry && (!found || entry.lastSetAt > found.lastSetAt)) {
+      found = { tabId: ledger.tabId, lastSetAt: entry.lastSetAt };
+    }
+  }
+  return found ? found.tabId : null;
+}
+
+function prunePendingSetCookies(now) {
+  pendingSetCookies = pendingSetCookies.filter(pending => now - pending.seenAt < PENDING_SET_COOKIE_TTL);
+  pendingScriptWrites = pendingScriptWrites.filter(pending => now - pending.seenAt < PENDING_SET_COOKIE_TTL);
+}
+
+function matchesScriptWrite(pending, cookie) {
+  return pending.name === cookie.name &&
+    isSameSite(cookie.domain, getUrlHostname(pending.frameUrl)) &&
+    isTabInCookieStore(pending.tabId, cookie.storeId);
+}
+
+// write is the COOKIE_WRITE message from cookie-write-relay.js; the tab, frame
+// and frame URL come from its sender
+function recordScriptCookieWrite(tabId, frameId, frameUrl, write) {
+  const now = Date.now();
+  const pending = {
+    name: write.name,
+    tabId: tabId,
+    frameId: frameId,
+    frameUrl: frameUrl,
+    scriptUrl: write.scriptUrl || null,
+    api: write.api || null,
+    seenAt: now
+  };
+
+  const waiterIndex = scriptWriteWaiters.findIndex(waiter => matchesScriptWrite(pending, waiter.cookie));
+  if (waiterIndex >= 0) {
+    scriptWriteWaiters.splice(waiterIndex, 1)[0].resolve(pending);
+    return;
+  }
+  pendingScriptWrites.push(pending);
+  prunePendingSetCookies(now);
+}
+
+chrome.webRequest.onHeadersReceived.addListener((details) => {
+  // tabId is -1 for requests that don't belong to a tab (workers, the extension)
+  if (details.tabId < 0) return;
+
+  const now = Date.now();
+  for (const header of details.responseHeaders || []) {
+    if (header.name.toLowerCase() !== 'set-cookie' || !header.value) continue;
+    for (const line of header.value.split('\n')) {
+      const parsed = parseSetCookieHeader(line, details.url);
+      pendingSetCookies.push({
+        name: parsed.name,
+        domain: normalizeHostname(parsed.domain),
+        tabId: details.tabId,
+        frameId: details.frameId,
+        requestUrl: details.url,
+        initiator: details.initiator || null,
+        resourceType: details.type,
+        seenAt: now
+      });
+    }
+  }
+  prunePendingSetCookies(now);
+}, { urls: ['http://*/*', 'https://*/*'] }, ['responseHeaders', 'extraHeaders']);
+
+// Started before the request so cookies from the new page's own response land
+// in its ledger rather than the previous page's
+chrome.webNavigation.onBeforeNavigate.addListener(async (details) => {
+  await tabLedgersReady;
+  if (details.frameId === 0) {
+    startTabLedger(details.tabId, details.url);
+    saveTabLedgers();
+  }
+});
+
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+  await tabLedgersReady;
+  const ledger = tabLedgers.get(details.tabId) || startTabLedger(details.tabId, details.url);
+  if (details.frameId === 0) {
+    // After redirects the committed URL is the one that counts
+    ledger.url = details.url;
+    ledger.hostname = getUrlHostname(details.url);
+  } else {
+    ledger.frames[details.frameId] = details.url;
+  }
+  saveTabLedgers();
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await tabLedgersReady;
+  if (tabLedgers.delete(tabId)) {
+    saveTabLedgers();
+  }
+});
+
+function getFrameUrl(ledger, frameId) {
+  return frameId === 0 ? ledger.url : ledger.frames[frameId] || null;
+}
+
+function takePendingSetCookie(cookie) {
+  const now = Date.now();
+  prunePendingSetCookies(now);
+  const domain = normalizeHostname(cookie.domain);
+  const index = pendingSetCookies.findIndex(pending =>
+    pending.name === cookie.name && pending.domain === domain && isTabInCookieStore(pending.tabId, cookie.storeId)
+  );
+  return index >= 0 ? pendingSetCookies.splice(index, 1)[0] : null;
+}
+
+// Resolves to the report of the script write behind the cookie change, or
+// null when none arrives within SCRIPT_WRITE_WAIT
+function takePendingScriptWrite(cookie) {
+  const index = pendingScriptWrites.findIndex(pending => matchesScriptWrite(pending, cookie));
+  if (index >= 0) return Promise.resolve(pendingScriptWrites.splice(index, 1)[0]);
+
+  return new Promise(resolve => {
+    const waiter = { cookie: cookie, resolve: resolve };
+    scriptWriteWaiters.push(waiter);
+    setTimeout(() => {
+      const waiterIndex = scriptWriteWaiters.indexOf(waiter);
+      if (waiterIndex >= 0) {
+        scriptWriteWaiters.splice(waiterIndex, 1);
+        resolve(null);
+      }
+    }, SCRIPT_WRITE_WAIT);
+  });
+}
+
+// A best guess: the first tab showing the cookie's site in its top frame,
+// otherwise the first with an iframe from it
+function findScriptSource(cookie) {
+  let iframeSource = null;
+  for (const ledger of tabLedgers.values()) {
+    if (!isTabInCookieStore(ledger.tabId, cookie.storeId)) continue;
+    if (ledger.hostname && isSameSite(cookie.domain, ledger.hostname)) {
+      return { tabId: ledger.tabId, frameId: 0 };
+    }
+    if (!iframeSource) {
+      const frameId = Object.keys(ledger.frames).find(id => isSameSite(cookie.domain, getUrlHostname(ledger.frames[id])));
+      if (frameId) iframeSource = { tabId: ledger.tabId, frameId: Number(frameId) };
+    }
+  }
+  return iframeSource;
+}
+
+// Records a set or updated cookie in the ledger of the tab that caused it and
+// resolves to that ledger entry plus { tabId, pageDomain }, or null when no
+// tab can be found
+async function attributeCookieChange(cookie) {
+  await tabLedgersReady;
+
+  const pending = takePendingSetCookie(cookie);
+  // Scripts can't write HttpOnly cookies
+  const scriptWrite = pending || cookie.httpOnly ? null : await takePendingScriptWrite(cookie);
+  const source = pending
+    ? {
+      tabId: pending.tabId,
+      frameId: pending.frameId,
+      setBy: 'header',
+      requestUrl: pending.requestUrl,
+      initiator: pending.initiator,
+      resourceType: pending.resourceType
+    }
+    : scriptWrite
+      ? {
+        tabId: scriptWrite.tabId,
+        frameId: scriptWrite.frameId,
+        frameUrl: scriptWrite.frameUrl,
+        scriptUrl: scriptWrite.scriptUrl,
+        api: scriptWrite.api
+      }
+      : findScriptSource(cookie);
+  if (!source) return null;
+
+  let ledger = tabLedgers.get(source.tabId);
+  if (!ledger) {
+    // Tabs that were open before the extension started have no ledger yet
+    const tab = await chrome.tabs.get(source.tabId).catch(() => null);
+    if (!tab) return null;
+    ledger = startTabLedger(source.tabId, tab.url || '');
+  }
+
+  const cookieKey = getCookieKey(cookie);
+  const previous = ledger.cookies[cookieKey];
+  const now = Date.now();
+  const entry = {
+    cookieKey: cookieKey,
+    name: cookie.name,
+    domain: cookie.domain,
+    setBy: source.setBy || 'script',
+    frameId: source.frameId,
+    frameUrl: source.frameUrl || (source.resourceType === 'sub_frame' ? source.requestUrl : getFrameUrl(ledger, source.frameId)),
+    requestUrl: source.requestUrl || null,
+    scriptUrl: source.scriptUrl || null,
+    api: source.api || null,
+    initiator: source.initiator || null,
+    resourceType: source.resourceType || null,
+    thirdParty: ledger.hostname ? !isSameSite(cookie.domain, ledger.hostname) : null,
+    firstSetAt: previous ? previous.firstSetAt : now,
+    lastSetAt: now,
+    count: previous ? previous.count + 1 : 1
+  };
+  ledger.cookies[cookieKey] = entry;
+
+  const keys = Object.keys(ledger.cookies);
+  if (keys.length > TAB_LEDGER_MAX_ENTRIES) {
+    const oldest = keys.reduce((a, b) => ledger.cookies[a].lastSetAt <= ledger.cookies[b].lastSetAt ? a : b);
+    delete ledger.cookies[oldest];
+  }
+  saveTabLedgers();
+
+  return { ...entry, tabId: ledger.tabId, pageDomain: ledger.hostname || null };
+}
@@ -0,0 +1,76 @@
+// Toolbar badge
+// Each tab's badge shows the count chosen by the badgeCount setting (its
+// suspicious or its blocked cookies, or nothing), in the colour of the worst
+// risk level among that tab's cookies. The background sets it from
+// updateCookieStats(), so it follows cookie changes without opening the popup.
+// The popup counts its own stats with the same countCookieRecords(), so the
+// numbers it shows and the STATS_UPDATED ones that replace them agree.
+// Loaded by the background service worker (importScripts), after
+// risk-model.js, and by the popup.
+
+const BADGE_COUNT_SUSPICIOUS = 'suspicious';
+const BADGE_COUNT_BLOCKED = 'blocked';
+const BADGE_COUNT_OFF = 'off';
+const DEFAULT_BADGE_COUNT = BADGE_COUNT_SUSPICIOUS;
+
+// Same colours as the popup's risk labels
+const BADGE_COLORS = {
+  [RISK_LEVEL_HIGH]: '#dc3545',
+  [RISK_LEVEL_MEDIUM]: '#fd7e14',
+  [RISK_LEVEL_LOW]: '#198754'
+};
+
+const RISK_LEVEL_ORDER = [RISK_LEVEL_LOW, RISK_LEVEL_MEDIUM, RISK_LEVEL_HIGH];
+
+function normalizeBadgeCount(value) {
+  return [BADGE_COUNT_SUSPICIOUS, BADGE_COUNT_BLOCKED, BADGE_COUNT_OFF].includes(value) ? value : DEFAULT_BADGE_COUNT;
+}
+
+function getWorseRiskLevel(a, b) {
+  return RISK_LEVEL_ORDER.indexOf(a) >= RISK_LEVEL_ORDER.indexOf(b) ? a : b;
+}
+
+// records: [{ riskLevel, permission, policyDecision }], one per cookie of the
+// page, stored or left in history. Blocked means the policy blocks it,
+// allowed that a permission or a rule allows it explicitly.
+function countCookieRecords(records) {
+  const stats = { total: records.length, suspicious: 0, blocked: 0, allowed: 0, worstRisk: RISK_LEVEL_LOW };
+
+  for (const record of records) {
+    stats.worstRisk = getWorseRiskLevel(stats.worstRisk, record.riskLevel);
+    if (record.riskLevel !== RISK_LEVEL_LOW) {
+      stats.suspicious++;
+    }
+
+    const permission = record.permission;
+    const decision = record.policyDecision || {};
+    if ((permission && permission.blocked) || decision.decision === POLICY_BLOCK) {
+      stats.blocked++;
+    } else if (permission
+      ? permission.action === 'allow' || (permission.action === 'custom' && (permission.allowedDataTypes || []).length > 0)
+      : decision.source === 'rule' && decision.decision === POLICY_ALLOW) {
+      stats.allowed++;
+    }
+  }
+  return stats;
+}
+
+// stats is what updateCookieStats() returns; the badge is cleared when the
+// chosen count is zero
+async function updateTabBadge(tabId, stats, badgeCount) {
+  const mode = normalizeBadgeCount(badgeCount);
+  const count = mode === BADGE_COUNT_OFF ? 0 : stats[mode] || 0;
+
+  try {
+    await chrome.action.setBadgeText({ tabId: tabId, text: count > 0 ? String(count) : '' });
+    if (count > 0) {
+      await chrome.action.setBadgeBackgroundColor({
+        tabId: tabId,
+        color: BADGE_COLORS[stats.worstRisk] || BADGE_COLORS[RISK_LEVEL_LOW]
+      });
+    }
+  } catch (error) {
+    // The tab was closed while its stats were being counted
+    console.log('Could not update badge for tab', tabId, error.message);
+  }
+}
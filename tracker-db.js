@@ -0,0 +1,135 @@
+// Known-tracker database
+// An offline list of well-known cookie names and tracker domains
+// (data/trackers.json), with an entity map so doubleclick.net, youtube.com and
+// google-analytics.com are all reported as Google. Lookups give each cookie its
+// owning company, purpose category and documented lifetime.
+// Cookie names may end in or contain `*` for rotating names (`_ga_*`); entries
+// with a `domain` only match cookies set on that domain, so short generic
+// names like `uid` or `fr` aren't attributed to the wrong company.
+// Loaded by the background service worker (importScripts), after rule-engine.js.
+
+const TRACKER_DATABASE_PATH = 'data/trackers.json';
+
+let trackerDatabase = null;
+
+function buildTrackerIndex(data) {
+  const index = {
+    version: data.version,
+    exactNames: new Map(),
+    patterns: [],
+    domainEntities: new Map(),
+    trackerDomains: new Map()
+  };
+
+  for (const [entity, info] of Object.entries(data.entities || {})) {
+    for (const domain of info.domains || []) {
+      index.domainEntities.set(domain, entity);
+    }
+  }
+
+  for (const [domain, categories] of Object.entries(data.trackerDomains || {})) {
+    index.trackerDomains.set(domain, categories);
+  }
+
+  for (const entry of data.cookies || []) {
+    if (entry.name.includes('*')) {
+      index.patterns.push({ ...entry, regex: globToRegExp(entry.name) });
+    } else {
+      if (!index.exactNames.has(entry.name)) index.exactNames.set(entry.name, []);
+      index.exactNames.get(entry.name).push(entry);
+    }
+  }
+
+  return index;
+}
+
+async function loadTrackerDatabase() {
+  try {
+    const response = await fetch(chrome.runtime.getURL(TRACKER_DATABASE_PATH));
+    const data = await response.json();
+    trackerDatabase = buildTrackerIndex(data);
+    console.log('Loaded tracker database:', data.version, '-', (data.cookies || []).length, 'cookies');
+  } catch (error) {
+    console.error('Error loading tracker database:', error);
+  }
+}
+
+function isTrackerDomainMatch(cookieDomain, domain) {
+  const normalized = normalizeHostname(cookieDomain);
+  return normalized === domain || normalized.endsWith('.' + domain);
+}
+
+// Walks up the labels so ads.doubleclick.net finds doubleclick.net
+function findDomainEntry(map, cookieDomain) {
+  const labels = normalizeHostname(cookieDomain).split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (map.has(candidate)) {
+      return { domain: candidate, value: map.get(candidate) };
+    }
+  }
+  return null;
+}
+
+function getTrackerEntity(domain) {
+  if (!trackerDatabase) return null;
+  const match = findDomainEntry(trackerDatabase.domainEntities, domain);
+  return match ? match.value : null;
+}
+
+function findTrackerCookie(cookie) {
+  const candidates = [
+    ...(trackerDatabase.exactNames.get(cookie.name) || []),
+    ...trackerDatabase.patterns.filter(entry => entry.regex.test(cookie.name))
+  ];
+
+  // Domain-specific entries first: they are the more precise match
+  const matching = candidates.filter(entry => !entry.domain || isTrackerDomainMatch(cookie.domain, entry.domain));
+  return matching.find(entry => entry.domain) || matching[0] || null;
+}
+
+// Returns { entity, category, purpose, lifetime, lifetimeDays, matchedBy } or null.
+// matchedBy is 'cookie' (name in the database), 'domain' (a known tracker
+// domain) or 'entity' (a domain owned by a known company, purpose unknown).
+function lookupTracker(cookie) {
+  if (!trackerDatabase || !cookie || !cookie.name) return null;
+
+  const entry = findTrackerCookie(cookie);
+  if (entry) {
+    return {
+      entity: entry.entity,
+      category: entry.category,
+      purpose: entry.purpose,
+      lifetime: entry.lifetime,
+      lifetimeDays: entry.lifetimeDays,
+      matchedBy: 'cookie'
+    };
+  }
+
+  const entity = getTrackerEntity(cookie.domain);
+  const trackerDomain = findDomainEntry(trackerDatabase.trackerDomains, cookie.domain);
+  if (trackerDomain) {
+    const category = trackerDomain.value[0];
+    return {
+      entity: entity,
+      category: category,
+      purpose: `Set by ${trackerDomain.domain}, a known ${category} domain${entity ? ` of ${entity}` : ''}`,
+      lifetime: null,
+      lifetimeDays: null,
+      matchedBy: 'domain'
+    };
+  }
+
+  if (entity) {
+    return {
+      entity: entity,
+      category: null,
+      purpose: null,
+      lifetime: null,
+      lifetimeDays: null,
+      matchedBy: 'entity'
+    };
+  }
+
+  return null;
+}